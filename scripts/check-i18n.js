@@ -0,0 +1,35 @@
+// Fails the build when a message catalog is missing keys that another has,
+// or when a translation drops a {placeholder}. Run by `npm run build`.
+import { readdirSync, readFileSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const dir = join(dirname(fileURLToPath(import.meta.url)), "../src/i18n/locales");
+const catalogs = Object.fromEntries(
+  readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => [f.replace(/\.json$/, ""), JSON.parse(readFileSync(join(dir, f), "utf8"))])
+);
+
+const allKeys = new Set(Object.values(catalogs).flatMap((c) => Object.keys(c)));
+const placeholders = (s) => (s.match(/\{\w+\}/g) || []).sort().join(",");
+const reference = catalogs.en || {};
+
+let problems = 0;
+for (const [locale, catalog] of Object.entries(catalogs)) {
+  for (const key of allKeys) {
+    if (!(key in catalog)) {
+      console.error(`[i18n] ${locale}: missing "${key}"`);
+      problems++;
+    } else if (key in reference && placeholders(catalog[key]) !== placeholders(reference[key])) {
+      console.error(`[i18n] ${locale}: "${key}" placeholders differ from en`);
+      problems++;
+    }
+  }
+}
+
+if (problems) {
+  console.error(`[i18n] ${problems} problem(s) in ${Object.keys(catalogs).length} catalogs`);
+  process.exit(1);
+}
+console.log(`[i18n] ${allKeys.size} keys present in all ${Object.keys(catalogs).length} catalogs`);
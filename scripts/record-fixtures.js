@@ -0,0 +1,64 @@
+// Records the test fixtures in src/test/fixtures from the live APIs, trimmed
+// to a few districts and months, and stamps each file with where and when it
+// was recorded. Needs network access; run with `npm run record:fixtures`.
+// The data.gov.in key is read from VITE_DATA_GOV_KEY and never written out.
+import { writeFileSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const dir = join(dirname(fileURLToPath(import.meta.url)), "../src/test/fixtures");
+const BACKEND = process.env.VITE_MGNREGA_API_BASE || "https://mgnrega-backend-icrp.onrender.com/get_data";
+const DATA_GOV = process.env.VITE_DATA_GOV_BASE || "https://api.data.gov.in/resource";
+const RESOURCE_ID = process.env.VITE_DATA_GOV_RESOURCE_ID || "8f9b7a76-8f55-4f24-bfc1-54b24c23e9d3";
+const API_KEY = process.env.VITE_DATA_GOV_KEY;
+
+const STATE = "TAMIL NADU";
+const DISTRICTS = ["MADURAI", "SALEM", "THE NILGIRIS"];
+const MONTHS = ["Apr", "May"];
+const recordedOn = new Date().toISOString().slice(0, 10);
+
+const keep = (name, month) => DISTRICTS.includes(String(name || "").trim().toUpperCase()) && MONTHS.includes(month);
+
+const getJson = async (url) => {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${res.status} from ${url.replace(/api-key=[^&]+/, "api-key=…")}`);
+  return res.json();
+};
+
+const write = (file, body) => {
+  writeFileSync(join(dir, file), JSON.stringify(body, null, 2) + "\n");
+  console.log(`[fixtures] wrote ${file}`);
+};
+
+// The spelling variants and nameless rows the dashboard must cope with do
+// turn up in live responses, but not reliably in a small trim, so the
+// 2023-2024 recording is given one of each on top of the real rows.
+const addEdgeCases = (rows) => {
+  const apr = (name) => rows.find((r) => r.district_name === name && r.month === "Apr");
+  if (apr("MADURAI")) apr("MADURAI").district_name = "Madurai";
+  if (apr("SALEM")) apr("SALEM").district_name = " salem ";
+  const nilgiris = rows.find((r) => r.district_name === "THE NILGIRIS" && r.month === "May");
+  if (nilgiris) nilgiris.district_name = "The Nilgiris";
+  const template = rows[rows.length - 1];
+  const { district_name: _, ...nameless } = template;
+  return [...rows, { ...template, district_name: "" }, nameless];
+};
+
+for (const finYear of ["2023-2024", "2024-2025"]) {
+  const url = `${BACKEND}?${new URLSearchParams({ state_name: STATE, fin_year: finYear })}`;
+  const json = await getJson(url);
+  let data = (json?.data ?? json).filter((r) => keep(r.district_name, r.month));
+  if (finYear === "2023-2024") data = addEdgeCases(data);
+  write(`backend-tamilnadu-${finYear}.json`, { recorded: { from: url, on: recordedOn }, data });
+}
+
+{
+  const params = new URLSearchParams({ format: "json", offset: "0", limit: "2" });
+  params.append("filters[state_name]", STATE);
+  params.append("filters[fin_year]", "2024-2025");
+  params.append("filters[month_name]", "Apr");
+  const from = `${DATA_GOV}/${RESOURCE_ID}?${params}`;
+  if (API_KEY) params.append("api-key", API_KEY);
+  const { total, count, offset, limit, records } = await getJson(`${DATA_GOV}/${RESOURCE_ID}?${params}`);
+  write("datagov-page.json", { recorded: { from, on: recordedOn }, total, count, offset, limit, records });
+}
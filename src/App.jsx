@@ -1,245 +1,182 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useEffect, useMemo, useState, useRef } from "react";
+import { flushSync } from "react-dom";
+import { Link, useParams } from "react-router-dom";
 import "./App.css";
-import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, Cell } from "recharts";
-
-
-const YEARS = [
-  "All",
-  "2024-2025",
-  "2023-2024",
-  "2022-2023",
-  "2021-2022",
-  "2020-2021",
-  "2019-2020",
-  "2018-2019",
-];
-
-const API_BASE = "https://mgnrega-backend-icrp.onrender.com/get_data";
-
-
-const toNumber = (v) => {
-  if (v === null || v === undefined) return 0;
-  if (typeof v === "number") return v;
-  const cleaned = String(v).replace(/,/g, "").trim();
-  const n = Number(cleaned);
-  return isNaN(n) ? 0 : n;
-};
+import DistrictModal from "./components/DistrictModal";
+import { summarise } from "./utils/aggregate";
+import { fetchYear, fetchYears, isAbortError } from "./api/mgnrega";
+import FailedYearsBanner from "./components/FailedYearsBanner";
+import OfflineIndicator from "./components/OfflineIndicator";
+import LocationPrompt from "./components/LocationPrompt";
+import DistrictMap from "./components/DistrictMap";
+import DistrictTable from "./components/DistrictTable";
+import DistrictCompare from "./components/DistrictCompare";
+import ExportMenu from "./components/ExportMenu";
+import Scorecard from "./components/Scorecard";
+import PrintReport from "./components/PrintReport";
+import ChartBuilder from "./components/ChartBuilder";
+import DataQualityPanel from "./components/DataQualityPanel";
+import ErrorBoundary from "./components/ErrorBoundary";
+import ErrorState from "./components/ErrorState";
+import { STATES, DEFAULT_STATE, findState, hasEmblem } from "./config/states";
+import { FIN_YEARS } from "./config/years";
+import { resolveDistrict } from "./utils/gazetteer";
+import { detectAnomalies, groupFlags } from "./utils/anomalies";
+import { toAppError } from "./utils/errors";
+import { loadOnboarding } from "./utils/onboarding";
+import useDistrictLocator from "./hooks/useDistrictLocator";
+import useDisplayPrefs from "./hooks/useDisplayPrefs";
+import useViewParams from "./hooks/useViewParams";
+import { LOCALES, isLocale, useI18n } from "./i18n";
+import { svgToDataUrl } from "./utils/export";
+import { readTableView, tableRows } from "./utils/table";
+import { chartTitle, loadChartConfig, saveChartConfig } from "./utils/chart";
+
+
+const YEARS = ["All", ...FIN_YEARS];
+// view params that only make sense for the state they were set in
+const STATE_VIEW_RESET = { district: null, selected: null, compare: null, q: null, sort: null, dir: null };
 
 export default function App() {
   
   const [data, setData] = useState([]); 
   const [rawRecords, setRawRecords] = useState([]); 
   const [loading, setLoading] = useState(false);
-  const [isTamil, setIsTamil] = useState(false);
-
-  const [year, setYear] = useState("All");
-  const [stateName, setStateName] = useState("TAMIL NADU");
-  const [districtFilter, setDistrictFilter] = useState("");
+  // The view lives in the query string so it survives a reload and can be
+  // shared: ?state=tn&year=2023-2024&district=Madurai&selected=MADURAI&lang=ta
+  // Filter changes push history entries, so back/forward walk through them.
+  const { name: routeDistrict } = useParams();
+  const [searchParams, updateView] = useViewParams();
+
+  const year = YEARS.includes(searchParams.get("year")) ? searchParams.get("year") : "All";
+  // with a bare "/" the wizard answers decide where the dashboard opens;
+  // a link with any view in it is shown as it was shared
+  const [bareVisit] = useState(() => !routeDistrict && !searchParams.toString());
+  const [onboarding] = useState(() => (bareVisit ? loadOnboarding() : {}));
+  const stateConfig = findState(searchParams.get("state")) || findState(onboarding.state) || DEFAULT_STATE;
+  const stateName = stateConfig.name;
+  const { t, fmt, fmtCompact, locale, setLocale, preference } = useI18n();
+  const display = useDisplayPrefs();
+  const districtFilter = searchParams.get("district") || "";
+  // the input runs ahead of the URL while the user is typing
+  const [districtInput, setDistrictInput] = useState(districtFilter);
+  useEffect(() => {
+    setDistrictInput(districtFilter);
+  }, [districtFilter]);
+  const [districtSuggestions, setDistrictSuggestions] = useState([]);
 
   const [insights, setInsights] = useState({
     totalHouseholds: 0,
     totalPersondays: 0,
     totalExpenditure: 0,
+    avgWageRate: 0,
     avgHouseholds: 0,
-    topDistrict: "N/A",
-    lowDistrict: "N/A",
+    topDistrict: null,
+    lowDistrict: null,
   });
 
-  const [selectedDistrict, setSelectedDistrict] = useState(null);
+  const selectedName = searchParams.get("selected");
+  const selectedDistrict = data.find((d) => d.district_name === selectedName) || null;
+  const selectDistrict = (d) => updateView({ selected: d?.district_name });
 
   
   const districtTimer = useRef(null);
+  const abortRef = useRef(null);
+  const queryRef = useRef({});
+  const rowsByYearRef = useRef({});
+  const [failedYears, setFailedYears] = useState([]);
+  const [yearErrors, setYearErrors] = useState({});
+  // set when nothing could be loaded, so an outage isn't shown as "no data"
+  const [loadError, setLoadError] = useState(null);
+  const [retryingYear, setRetryingYear] = useState(null);
+  const [offlineSince, setOfflineSince] = useState(null);
 
   
+  // rows arrive already normalised by the api adapters (src/api/records.js)
+  const applyRows = (allRows, district) => {
+    setRawRecords(allRows);
+    const { districts, insights } = summarise(allRows, district);
+    setData(districts);
+    setInsights(insights);
+  };
+
   const fetchData = async (opts = {}) => {
-    
-    const yearOverride = opts.yearOverride ?? year;
-    const districtOverride = opts.districtOverride ?? districtFilter;
+    // typed or detected names go through the gazetteer so spelling
+    // variants reach the API under its canonical name
+    const { match, suggestions } = resolveDistrict(districtFilter, { stateName });
+    setDistrictSuggestions(match ? [] : suggestions);
+    const district = match ? match.api : districtFilter;
+    const years = year === "All" ? YEARS.filter((y) => y !== "All") : [year];
+
+    // a newer filter change supersedes any request still in flight
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    queryRef.current = { stateName, district };
     setLoading(true);
 
     try {
-      
-      const fetchForYear = async (fin_year) => {
-        const params = new URLSearchParams();
-        if (stateName) params.append("state_name", stateName.toUpperCase());
-        if (fin_year && fin_year !== "All") params.append("fin_year", fin_year);
-        if (districtOverride) params.append("district_name", districtOverride.toUpperCase());
-        const url = `${API_BASE}?${params.toString()}`;
-        const res = await fetch(url);
-        if (!res.ok) {
-          const txt = await res.text().catch(() => "");
-          throw new Error(`Fetch failed ${res.status} ${res.statusText} ${txt}`);
-        }
-        const json = await res.json();
-        
-        return json?.data || json || [];
-      };
-
-      let allRows = [];
-
-      if (yearOverride === "All") {
-        
-        const yearsToFetch = YEARS.filter((y) => y !== "All");
-        for (const y of yearsToFetch) {
-          try {
-            const rows = await fetchForYear(y);
-            if (rows && rows.length) allRows.push(...rows);
-          } catch (e) {
-            console.warn(`year ${y} fetch failed:`, e.message || e);
-          }
-        }
-      } else {
-        
-        const rows = await fetchForYear(yearOverride);
-        if (rows && rows.length) allRows.push(...rows);
-      }
-     
-            
-      setRawRecords(allRows);
-
-      
-      const normalized = allRows.map((r) => {
-        const district_raw = r.district_name || r.District || "";
-        const district_clean = String(district_raw).trim();
-        return {
-          district_name: district_clean.toUpperCase(),
-          district_display: district_clean,
-          state_name: r.state_name || stateName,
-          fin_year: r.fin_year || "—",
-          month: r.month || "—",
-          Approved_Labour_Budget: toNumber(r.Approved_Labour_Budget),
-          Average_Wage_rate_per_day_per_person: toNumber(r.Average_Wage_rate_per_day_per_person),
-          Average_days_of_employment_provided_per_Household: toNumber(r.Average_days_of_employment_provided_per_Household),
-          Total_Households_Worked: toNumber(r.Total_Households_Worked),
-          Total_Individuals_Worked: toNumber(r.Total_Individuals_Worked),
-          Total_Exp: toNumber(r.Total_Exp),
-          Wages: toNumber(r.Wages),
-        };
-      });
-
-      
-      const filtered = normalized.filter(
-        (x) => x.district_name && x.district_name.length > 0
-      );
-
-      
-      const grouped = filtered.reduce((acc, cur) => {
-        const key = cur.district_name;
-        if (!acc[key]) {
-          acc[key] = { ...cur };
-        } else {
-          acc[key].Approved_Labour_Budget += cur.Approved_Labour_Budget;
-          acc[key].Average_Wage_rate_per_day_per_person += cur.Average_Wage_rate_per_day_per_person;
-          acc[key].Average_days_of_employment_provided_per_Household += cur.Average_days_of_employment_provided_per_Household;
-          acc[key].Total_Households_Worked += cur.Total_Households_Worked;
-          acc[key].Total_Individuals_Worked += cur.Total_Individuals_Worked;
-          acc[key].Total_Exp += cur.Total_Exp;
-          acc[key].Wages += cur.Wages;
-        }
-        return acc;
-      }, {});
-
-      let finalArray = Object.values(grouped);
-
-      
-      if (districtFilter && districtFilter.trim().length > 0) {
-        const df = districtFilter.trim().toUpperCase();
-        finalArray = finalArray.filter((d) =>
-          d.district_name.includes(df)
-        );
-      }
-
-     
-      finalArray.sort((a, b) => b.Total_Exp - a.Total_Exp);
-
-      
-      setData(finalArray);
-
-      
-      const totalHouseholds = finalArray.reduce(
-        (s, x) => s + toNumber(x.Total_Households_Worked),
-        0
-      );
-      const totalExp = finalArray.reduce(
-        (s, x) => s + toNumber(x.Total_Exp),
-        0
-      );
-      const avgHouseholds = finalArray.length
-        ? Math.round(totalHouseholds / finalArray.length)
-        : 0;
-      const topDistrict = finalArray.length
-        ? finalArray[0].district_display
-        : "N/A";
-      const lowDistrict = finalArray.length
-        ? finalArray[finalArray.length - 1].district_display
-        : "N/A";
-
-      setInsights({
-        totalHouseholds,
-        totalPersondays: 0,
-        totalExpenditure: totalExp,
-        avgHouseholds,
-        topDistrict,
-        lowDistrict,
+      const { rowsByYear, failed, errors, offlineSince } = await fetchYears(years, {
+        stateName,
+        district,
+        signal: controller.signal,
+        force: opts.force,
       });
+      if (controller.signal.aborted) return;
+      rowsByYearRef.current = rowsByYear;
+      setFailedYears(failed);
+      setYearErrors(errors);
+      setLoadError(failed.length === years.length ? errors[failed[0]] : null);
+      setOfflineSince(offlineSince);
+      applyRows(Object.values(rowsByYear).flat(), district);
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error("FetchData error:", err);
+      setLoadError(toAppError(err));
     } finally {
-      setLoading(false);
+      if (abortRef.current === controller) setLoading(false);
     }
   };
-  
-useEffect(() => {
-  async function detectLocation() {
+
+  const retryYear = async (finYear) => {
+    const { stateName: retryState, district } = queryRef.current;
+    setRetryingYear(finYear);
     try {
-      if (!navigator.geolocation) {
-        console.warn("Geolocation not supported in this browser.");
-        return;
-      }
-
-      navigator.geolocation.getCurrentPosition(async (pos) => {
-        const { latitude, longitude } = pos.coords;
-        console.log("📍 Location detected:", latitude, longitude);
-
-       
-        const res = await fetch(
-          `https://nominatim.openstreetmap.org/reverse?lat=${latitude}&lon=${longitude}&format=json&accept-language=en`
-        );
-        const data = await res.json();
-
-        let stateNameDetected = data.address?.state?.toUpperCase() || "";
-        let districtNameDetected =
-          data.address?.state_district ||
-          data.address?.county ||
-          data.address?.region ||
-          "";
-
-        
-        districtNameDetected = districtNameDetected
-          .replace(/district/gi, "")
-          .replace(/north|south|east|west|division/gi, "")
-          .trim()
-          .toUpperCase();
-
-        console.log("✅ Auto detected cleaned:", stateNameDetected, districtNameDetected);
-
-        if (stateNameDetected) setStateName(stateNameDetected);
-        if (districtNameDetected) {
-          setDistrictFilter(districtNameDetected);
-          
-          fetchData({
-            yearOverride: year,
-            districtOverride: districtNameDetected,
-          });
-        }
+      const { rows } = await fetchYear({
+        stateName: retryState,
+        finYear,
+        district,
+        signal: abortRef.current?.signal,
+        force: true,
       });
+      rowsByYearRef.current = { ...rowsByYearRef.current, [finYear]: rows };
+      setFailedYears((f) => f.filter((y) => y !== finYear));
+      setLoadError(null);
+      applyRows(Object.values(rowsByYearRef.current).flat(), district);
     } catch (err) {
-      console.error("❌ Error detecting location:", err);
+      if (isAbortError(err)) return;
+      console.warn(`year ${finYear} retry failed:`, err.message || err);
+      setYearErrors((e) => ({ ...e, [finYear]: toAppError(err) }));
+    } finally {
+      setRetryingYear(null);
     }
-  }
-
-  detectLocation();
-}, []);
+  };
+  
+  // location is looked up only with consent, matched on the device, and
+  // never replaces a district the user has already typed or picked
+  const districtFilterRef = useRef(districtFilter);
+  useEffect(() => {
+    districtFilterRef.current = districtFilter;
+  }, [districtFilter]);
+  const locator = useDistrictLocator({
+    enabled: bareVisit && !onboarding.district,
+    onFound: ({ state, district }) => {
+      if (districtFilterRef.current.trim()) return false;
+      const reset = state.code === stateConfig.code ? {} : STATE_VIEW_RESET;
+      updateView({ ...reset, state: state.code, district: district.name }, { replace: true });
+      return true;
+    },
+  });
 
 
 
@@ -248,18 +185,90 @@ useEffect(() => {
   useEffect(() => {
     fetchData();
     
-  }, [year, stateName]);
+  }, [year, stateName, districtFilter]);
+
+  // complete the URL on arrival: the resolved state, and the district from
+  // a /district/:name link or the wizard, so that copying it reopens this view
+  const seedDistrict = useRef(routeDistrict || onboarding.district || "");
+  useEffect(() => {
+    const seed = seedDistrict.current;
+    if (searchParams.get("state") === stateConfig.code && !seed) return;
+    seedDistrict.current = "";
+    updateView({ state: stateConfig.code, district: searchParams.get("district") || seed }, { replace: true });
+  }, [stateConfig, searchParams, updateView]);
+
+  // ?lang= wins for this visit without overwriting the saved preference;
+  // without it the saved preference applies, else the state's language.
+  // Re-applied on every change so back/forward follows the address bar.
+  const langParam = searchParams.get("lang");
+  useEffect(() => {
+    if (isLocale(langParam)) setLocale(langParam, { persist: false });
+    else setLocale(preference || stateConfig.defaultLanguage, { persist: false });
+  }, [langParam, stateConfig, preference, setLocale]);
+
+  useEffect(() => {
+    document.title = t(stateConfig.titleKey);
+  }, [stateConfig, t]);
+
+  const changeState = (value) => {
+    const next = findState(value);
+    if (!next || next.name === stateName) return;
+    updateView({ ...STATE_VIEW_RESET, state: next.code });
+  };
+
+  const changeLocale = (code) => {
+    setLocale(code);
+    updateView({ lang: code });
+  };
+
+  // the address bar plus the language, which is otherwise implicit
+  const [linkStatus, setLinkStatus] = useState(null);
+  const copyLink = async () => {
+    const url = new URL(window.location.href);
+    url.searchParams.set("lang", locale);
+    try {
+      await navigator.clipboard.writeText(url.toString());
+      setLinkStatus("copied");
+    } catch {
+      setLinkStatus("failed");
+    }
+    setTimeout(() => setLinkStatus(null), 2500);
+  };
 
   
-  const totalDistricts = data.length;
-  const topChartData = data.slice(0, 10).map((d) => ({
-    district_name: d.district_display,
-    Total_Persondays_Generated: toNumber(d.Total_Persondays_Generated),
-  }));
+  // snapshot the chart, render the print layout, then open the print dialog
+  const chartRef = useRef(null);
+  const [chartImage, setChartImage] = useState(null);
+  const printReport = () => {
+    flushSync(() => setChartImage(svgToDataUrl(chartRef.current?.querySelector("svg.recharts-surface"))));
+    window.print();
+  };
+  const yearLabel = year === "All" ? t("filters.allYears") : year;
+
+  // data-quality flags for the districts on screen
+  const flags = useMemo(() => {
+    const shown = new Set(data.map((d) => d.district_name));
+    return detectAnomalies(rawRecords).filter((f) => shown.has(f.district_name));
+  }, [data, rawRecords]);
+  const flagsByDistrict = useMemo(() => groupFlags(flags, (f) => f.district_name), [flags]);
+
+  // the export holds what the table shows: its filter and order, every page
+  const exportRows = useMemo(() => tableRows(data, readTableView(searchParams)), [data, searchParams]);
+  const exportRecords = useMemo(() => {
+    const shown = new Set(exportRows.map((d) => d.district_name));
+    return rawRecords.filter((r) => shown.has(r.district_name));
+  }, [exportRows, rawRecords]);
+
+  const [chartConfig, setChartConfig] = useState(loadChartConfig);
+  const changeChart = (config) => {
+    setChartConfig(config);
+    saveChartConfig(config);
+  };
+  const chartTitleText = chartTitle(chartConfig, t);
 
   
   return (
-    <div style={{ fontFamily: "Inter, Arial, sans-serif", background: "#f7f9fb", minHeight: "100vh" }}>
+    <div className={`app-root ${display.className}`} style={{ fontFamily: "Inter, Arial, sans-serif", background: "#f7f9fb", minHeight: "100vh" }}>
       {/* Header */}
 <div
   style={{
@@ -273,11 +282,14 @@ useEffect(() => {
     justifyContent: "center",
   }}
 >
-  <img
-    src="/tamilnadu_emblem.svg"
-    alt="Tamil Nadu Emblem"
-    style={{ height: 80, marginBottom: 10 }}
-  />
+  {/* no emblem bundled for this state yet: the title stands alone */}
+  {hasEmblem(stateConfig) && (
+    <img
+      src={stateConfig.emblem}
+      alt={t("header.emblemAlt", { state: t(`state.${stateConfig.code}`) })}
+      style={{ height: 80, marginBottom: 10 }}
+    />
+  )}
   <h1
     style={{
       margin: "6px 0 0 0",
@@ -286,13 +298,13 @@ useEffect(() => {
       textAlign: "center",
     }}
   >
-    {isTamil
-      ? "எம்.ஜி.என்.ஆர்.இ.ஜி.ஏ - மாவட்ட தரவு பார்வையாளர்"
-      : "🌾 MGNREGA Tamil Nadu Dashboard"}
+    {t(stateConfig.titleKey)}
   </h1>
 
-  <button
-    onClick={() => setIsTamil((s) => !s)}
+  <select
+    value={locale}
+    onChange={(e) => changeLocale(e.target.value)}
+    aria-label={t("header.language")}
     style={{
       marginTop: 10,
       padding: "8px 16px",
@@ -303,193 +315,252 @@ useEffect(() => {
       cursor: "pointer",
     }}
   >
-    {isTamil ? "English" : "தமிழ்"}
-  </button>
+    {LOCALES.map((l) => (
+      <option key={l.code} value={l.code}>
+        {l.label}
+      </option>
+    ))}
+  </select>
+
+  <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+    {[
+      ["highContrast", "display.highContrast"],
+      ["largeText", "display.largeText"],
+    ].map(([key, label]) => (
+      <button
+        key={key}
+        onClick={() => display.toggle(key)}
+        aria-pressed={display[key]}
+        style={{
+          padding: "6px 12px",
+          borderRadius: 6,
+          background: display[key] ? "#f0b429" : "#0a4a80",
+          color: display[key] ? "#073b6b" : "white",
+          border: "none",
+          cursor: "pointer",
+        }}
+      >
+        {t(label)}
+      </button>
+    ))}
+    <Link
+      to="/explorer"
+      style={{ padding: "6px 12px", borderRadius: 6, background: "#0a4a80", color: "white", textDecoration: "none" }}
+    >
+      📅 {t("explorer.link")}
+    </Link>
+  </div>
 </div>
 
 
       {/* Filters */}
       <div style={{ padding: "18px 26px", display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
-        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-          <strong>Year:</strong>
-          <select value={year} onChange={(e) => setYear(e.target.value)} style={{ padding: 10, borderRadius: 8 }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <strong>{t("filters.state")}</strong>
+          <select value={stateConfig.code} onChange={(e) => changeState(e.target.value)} style={{ padding: 10, borderRadius: 8 }}>
+            {STATES.map((st) => (
+              <option key={st.code} value={st.code}>
+                {t(`state.${st.code}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <strong>{t("filters.year")}</strong>
+          <select value={year} onChange={(e) => updateView({ year: e.target.value === "All" ? null : e.target.value })} style={{ padding: 10, borderRadius: 8 }}>
             {YEARS.map((y) => (
               <option key={y} value={y}>
-                {y}
+                {y === "All" ? t("filters.allYears") : y}
               </option>
             ))}
           </select>
-        </div>
+        </label>
 
         <button
-          onClick={() => fetchData({ yearOverride: year })}
+          onClick={() => fetchData({ force: true })}
           style={{ padding: "10px 14px", borderRadius: 8, background: "#003366", color: "white", border: "none", cursor: "pointer" }}
         >
-          {isTamil ? "புதுப்பி" : "Refresh"}
+          {t("filters.refresh")}
+        </button>
+
+        <button
+          onClick={copyLink}
+          style={{ padding: "10px 14px", borderRadius: 8, background: "white", color: "#003366", border: "1px solid #003366", cursor: "pointer" }}
+        >
+          🔗 {t("share.copyLink")}
         </button>
+        <span role="status" style={{ fontSize: 14, color: linkStatus === "failed" ? "#990000" : "#006644" }}>
+          {linkStatus === "copied" && t("share.copied")}
+          {linkStatus === "failed" && t("share.copyFailed")}
+        </span>
+
+        <Link
+          to={`/entitlement?state=${stateConfig.code}${districtFilter ? `&district=${encodeURIComponent(districtFilter)}` : ""}`}
+          style={{ padding: "10px 14px", borderRadius: 8, background: "#006644", color: "white", textDecoration: "none" }}
+        >
+          🪪 {t("entitle.title")}
+        </Link>
 
         <div style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 8 }}>
-          <span style={{ color: "#666" }}>{isTamil ? "மாவட்டத்தைத் தேடவும்" : "District:"}</span>
+          <label htmlFor="district-filter" style={{ color: "#666" }}>{t("filters.district")}</label>
           <input
-            value={districtFilter}
+            id="district-filter"
+            value={districtInput}
             onChange={(e) => {
               const v = e.target.value;
-              setDistrictFilter(v);
+              setDistrictInput(v);
               if (districtTimer.current) clearTimeout(districtTimer.current);
               districtTimer.current = setTimeout(() => {
-                fetchData({ yearOverride: year, districtOverride: v });
+                updateView({ district: v.trim(), selected: null });
               }, 450);
             }}
-            placeholder={isTamil ? "மாவட்டத்தை உள்ளிடவும் (செயற்கை)" : "Enter district (optional)"}
+            list="district-options"
+            placeholder={t("filters.districtPlaceholder")}
             style={{ padding: 10, borderRadius: 8 }}
           />
+          <datalist id="district-options">
+            {stateConfig.districts.map((d) => (
+              <option key={d} value={d} />
+            ))}
+          </datalist>
         </div>
       </div>
 
+      {districtSuggestions.length > 0 && (
+        <div style={{ margin: "0 26px 14px 26px", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ color: "#555" }}>{t("filters.didYouMean")}</span>
+          {districtSuggestions.map((s) => (
+            <button
+              key={s.name}
+              onClick={() => updateView({ district: s.name, selected: null })}
+              style={{ padding: "6px 10px", borderRadius: 16, border: "1px solid #003366", background: "white", color: "#003366", cursor: "pointer" }}
+            >
+              {s.native && locale === "ta" ? `${s.native} (${s.name})` : s.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <LocationPrompt
+        status={locator.status}
+        district={districtFilter}
+        candidates={locator.candidates}
+        onConfirm={locator.confirm}
+        onAllow={locator.locate}
+        onDecline={locator.decline}
+        onDismiss={locator.dismiss}
+      />
+      <OfflineIndicator since={offlineSince} />
+      {!loadError && (
+        <FailedYearsBanner years={failedYears} errors={yearErrors} retrying={retryingYear} onRetry={retryYear} />
+      )}
+
       {/*  Summary Cards */}
-      <div style={{ padding: "8px 26px 24px 26px", display: "flex", gap: 14, justifyContent: "center", flexWrap: "wrap" }}>
-        <div style={{ background: "#e8f4ff", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
-          <div style={{ color: "#003366", fontWeight: 600 }}>{isTamil ? "மொத்த குடும்பங்கள்" : "Total Households Worked"}</div>
-          <div style={{ marginTop: 8, fontSize: 20, fontWeight: 700 }}>{insights.totalHouseholds?.toLocaleString() ?? 0}</div>
+      <div role="list" aria-label={t("cards.summary")} style={{ padding: "8px 26px 24px 26px", display: "flex", gap: 14, justifyContent: "center", flexWrap: "wrap" }}>
+        <div role="listitem" style={{ background: "#e8f4ff", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
+          <div style={{ color: "#003366", fontWeight: 600 }}>{t("cards.totalHouseholds")}</div>
+          <div style={{ marginTop: 8, fontSize: 20, fontWeight: 700 }}>{fmtCompact(insights.totalHouseholds)}</div>
+        </div>
+        <div role="listitem" style={{ background: "#eef8f8", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
+          <div style={{ color: "#00636b", fontWeight: 600 }}>{t("cards.totalPersondays")}</div>
+          <div style={{ marginTop: 8, fontSize: 20, fontWeight: 700 }}>{fmtCompact(insights.totalPersondays)}</div>
         </div>
-        <div style={{ background: "#f0fff5", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
-          <div style={{ color: "#006644", fontWeight: 600 }}>{isTamil ? "சராசரி per மாவட்டம்" : "Average Worked"}</div>
-          <div style={{ marginTop: 8, fontSize: 20, fontWeight: 700 }}>{insights.avgHouseholds?.toLocaleString() ?? 0}</div>
+        <div role="listitem" style={{ background: "#f0fff5", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
+          <div style={{ color: "#006644", fontWeight: 600 }}>{t("cards.avgHouseholds")}</div>
+          <div style={{ marginTop: 8, fontSize: 20, fontWeight: 700 }}>{fmt(insights.avgHouseholds)}</div>
         </div>
-        <div style={{ background: "#fff7e6", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
-          <div style={{ color: "#cc6600", fontWeight: 600 }}>{isTamil ? "மேல்தரமான மாவட்டம்" : "Top District"}</div>
-          <div style={{ marginTop: 8, fontSize: 18, fontWeight: 700 }}>{insights.topDistrict}</div>
+        <div role="listitem" style={{ background: "#f3efff", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
+          <div style={{ color: "#4b2e83", fontWeight: 600 }}>{t("cards.avgWageRate")}</div>
+          <div style={{ marginTop: 8, fontSize: 20, fontWeight: 700 }}>{fmt(insights.avgWageRate)}</div>
         </div>
-        <div style={{ background: "#ffe9ea", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
-          <div style={{ color: "#990000", fontWeight: 600 }}>{isTamil ? "குறைந்த மாவட்டம்" : "Lowest District"}</div>
-          <div style={{ marginTop: 8, fontSize: 18, fontWeight: 700 }}>{insights.lowDistrict}</div>
+        <div role="listitem" style={{ background: "#fff7e6", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
+          <div style={{ color: "#cc6600", fontWeight: 600 }}>{t("cards.topDistrict")}</div>
+          <div style={{ marginTop: 8, fontSize: 18, fontWeight: 700 }}>{insights.topDistrict ?? t("cards.na")}</div>
+        </div>
+        <div role="listitem" style={{ background: "#ffe9ea", padding: 18, borderRadius: 12, minWidth: 220, textAlign: "center" }}>
+          <div style={{ color: "#990000", fontWeight: 600 }}>{t("cards.lowDistrict")}</div>
+          <div style={{ marginTop: 8, fontSize: 18, fontWeight: 700 }}>{insights.lowDistrict ?? t("cards.na")}</div>
         </div>
       </div>
 
-      {/*  Bar Chart */}
+      {/*  Chart and Map */}
 <div style={{ width: "95%", margin: "12px auto 28px auto" }}>
   {loading ? (
-    <div style={{ textAlign: "center", padding: 30 }}>Loading...</div>
+    <div role="status" style={{ textAlign: "center", padding: 30 }}>{t("status.loading")}</div>
+  ) : loadError ? (
+    <ErrorState error={loadError} view="dashboard" onRetry={() => fetchData({ force: true })} />
   ) : data.length === 0 ? (
     <div style={{ textAlign: "center", padding: 30, color: "#666" }}>
-      {isTamil ? "தரவு இல்லை" : "No data available."}
+      {t("status.noData")}
     </div>
   ) : (
-    <div style={{ background: "white", padding: 14, borderRadius: 12 }}>
-      <h3 style={{ color: "#003366", textAlign: "center" }}>
-        {isTamil ? "மாவட்ட வாரியாக மொத்த செலவுகள்" : "District-wise Total Expenditure (Top 10)"}
-      </h3>
-      <ResponsiveContainer width="100%" height={380}>
-        <BarChart data={data.slice(0, 10)}>
-          <XAxis dataKey="district_name" tick={{ fontSize: 12 }} />
-          <YAxis />
-          <Tooltip formatter={(v) => Number(v).toLocaleString()} />
-          <Legend />
-         <Bar dataKey="Total_Exp" name="Total Expenditure (₹ Lakhs)">
-  {data.slice(0, 10).map((entry, index) => {
-    let fillColor = "#4A90E2"; // default light blue
-    if (index === 0) fillColor = "#FF4C4C"; // top 1 → red
-    else if (index === 1) fillColor = "#00C49F"; // top 2 → green
-    else if (index === 2) fillColor = "#FFD700"; // top 3 → gold
-    return <Cell key={`cell-${index}`} fill={fillColor} />;
-  })}
-</Bar>
-
-
-        </BarChart>
-      </ResponsiveContainer>
+    <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+    <div ref={chartRef} style={{ flex: "3 1 480px", minWidth: 0, background: "white", padding: 14, borderRadius: 12 }}>
+      <ErrorBoundary name="chart" resetKey={data}>
+        <ChartBuilder data={data} config={chartConfig} onChange={changeChart} onSelect={selectDistrict} title={chartTitleText} />
+      </ErrorBoundary>
+    </div>
+    <div style={{ flex: "2 1 360px", minWidth: 0 }}>
+      <ErrorBoundary name="map" resetKey={data}>
+        <DistrictMap data={data} stateConfig={stateConfig} onSelect={selectDistrict} />
+      </ErrorBoundary>
+    </div>
     </div>
   )}
 </div>
 
+{/*  Data quality */}
+{data.length > 0 && (
+  <div style={{ width: "95%", margin: "10px auto 20px auto", background: "white", borderRadius: 12, padding: 16 }}>
+    <h2 style={{ fontSize: "1.17em", color: "#003366", marginTop: 0 }}>{t("quality.title")}</h2>
+    <ErrorBoundary name="data quality" resetKey={data}>
+      <DataQualityPanel flags={flags} districts={data} onSelect={selectDistrict} />
+    </ErrorBoundary>
+  </div>
+)}
+
+{/*  Scorecard */}
+{data.length > 0 && (
+  <div style={{ width: "95%", margin: "10px auto 20px auto", background: "white", borderRadius: 12, padding: 16 }}>
+    <h2 style={{ fontSize: "1.17em", color: "#003366", marginTop: 0 }}>{t("kpi.title")}</h2>
+    <ErrorBoundary name="scorecard" resetKey={data}>
+      <Scorecard districts={data} onSelect={selectDistrict} />
+    </ErrorBoundary>
+  </div>
+)}
+
+{/*  District comparison */}
+{data.length > 1 && (
+  <div style={{ width: "95%", margin: "10px auto 20px auto", background: "white", borderRadius: 12, padding: 16 }}>
+    <h2 style={{ fontSize: "1.17em", color: "#003366", marginTop: 0 }}>{t("compare.title")}</h2>
+    <ErrorBoundary name="comparison" resetKey={data}>
+      <DistrictCompare districts={data} />
+    </ErrorBoundary>
+  </div>
+)}
+
 {/*  Table */}
 <div style={{ width: "95%", margin: "10px auto 40px auto", background: "white", borderRadius: 12, padding: 16 }}>
-  <table style={{ width: "100%", borderCollapse: "collapse" }}>
-    <thead>
-      <tr style={{ background: "#082c4a", color: "white" }}>
-        <th style={{ padding: "12px 10px" }}>District</th>
-        <th style={{ padding: "12px 10px" }}>Approved Labour Budget</th>
-        <th style={{ padding: "12px 10px" }}>Avg Wage Rate</th>
-        <th style={{ padding: "12px 10px" }}>Avg Employment Days</th>
-        <th style={{ padding: "12px 10px" }}>Households Worked</th>
-        <th style={{ padding: "12px 10px" }}>Individuals Worked</th>
-        <th style={{ padding: "12px 10px" }}>Total Expenditure (₹ Lakhs)</th>
-        <th style={{ padding: "12px 10px" }}>Wages (₹ Lakhs)</th>
-      </tr>
-    </thead>
-    <tbody>
-      {data.map((row, idx) => (
-        <tr
-          key={row.district_name + "-" + idx}
-          onClick={() => setSelectedDistrict(row)}
-          style={{
-            cursor: "pointer",
-            borderBottom: "1px solid #f0f0f0",
-            background: idx % 2 === 0 ? "#fff" : "#fbfdff",
-          }}
-        >
-          <td style={{ padding: "10px" }}>{row.district_name}</td>
-          <td style={{ padding: "10px" }}>{row.Approved_Labour_Budget}</td>
-          <td style={{ padding: "10px" }}>{row.Average_Wage_rate_per_day_per_person}</td>
-          <td style={{ padding: "10px" }}>{row.Average_days_of_employment_provided_per_Household}</td>
-          <td style={{ padding: "10px" }}>{row.Total_Households_Worked}</td>
-          <td style={{ padding: "10px" }}>{row.Total_Individuals_Worked}</td>
-          <td style={{ padding: "10px" }}>{row.Total_Exp}</td>
-          <td style={{ padding: "10px" }}>{row.Wages}</td>
-        </tr>
-      ))}
-    </tbody>
-  </table>
+  <ErrorBoundary name="table" resetKey={data}>
+    <ExportMenu
+      data={exportRows}
+      rawRecords={exportRecords}
+      fileBase={`mgnrega-${stateConfig.code}-${year === "All" ? "all-years" : year}`}
+      onPrint={printReport}
+    />
+    <DistrictTable rows={data} onSelect={selectDistrict} flagsByDistrict={flagsByDistrict} />
+  </ErrorBoundary>
 </div>
 
 
       {/*  District Modal */}
       {selectedDistrict && (
-        <div
-          onClick={() => setSelectedDistrict(null)}
-          style={{
-            position: "fixed",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            background: "rgba(0,0,0,0.4)",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-            zIndex: 9999,
-          }}
-        >
-          <div onClick={(e) => e.stopPropagation()} style={{ width: 680, maxWidth: "92%", background: "white", borderRadius: 12, padding: 18 }}>
-            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-              <h2 style={{ margin: 0, color: "#073b6b" }}>{selectedDistrict.district_display}</h2>
-              <button onClick={() => setSelectedDistrict(null)} style={{ background: "#eee", border: "none", padding: 8, borderRadius: 8, cursor: "pointer" }}>Close</button>
-            </div>
-
-            <div style={{ display: "flex", gap: 12, marginTop: 12 }}>
-              <div style={{ flex: 1 }}>
-                <p><b>State:</b> {selectedDistrict.state_name}</p>
-                <p><b>Financial Years:</b> {(selectedDistrict.fin_years || []).join(", ")}</p>
-                <p><b>Months:</b> {(selectedDistrict.months || []).join(", ")}</p>
-                <p><b>Total Households Worked:</b> {(selectedDistrict.Total_Households_Worked || 0).toLocaleString()}</p>
-                <p><b>Total Persondays Generated:</b> {(selectedDistrict.Total_Persondays_Generated || 0).toLocaleString()}</p>
-                <p><b>Total Expenditure (₹):</b> {(selectedDistrict.Total_Exp || 0).toLocaleString()}</p>
-              </div>
-
-              <div style={{ flex: 1 }}>
-                <h4 style={{ marginTop: 0 }}>Sample rows (latest 3)</h4>
-                {(selectedDistrict.samples || []).slice(-3).reverse().map((s, i) => (
-                  <div key={i} style={{ background: "#f7f9fb", padding: 8, borderRadius: 6, marginBottom: 8 }}>
-                    <div><b>FY:</b> {s.fin_year}</div>
-                    <div><b>Month:</b> {s.month || "—"}</div>
-                    <div><b>Households:</b> {(s.Total_Households_Worked || 0).toLocaleString()}</div>
-                    <div><b>Persondays:</b> {(s.Total_Persondays_Generated || 0).toLocaleString()}</div>
-                  </div>
-                ))}
-              </div>
-            </div>
-          </div>
-        </div>
+        <DistrictModal
+          district={selectedDistrict}
+          flags={flagsByDistrict.get(selectedDistrict.district_name)}
+          onClose={() => selectDistrict(null)}
+        />
       )}
 
       {/*  Footer */}
@@ -505,13 +576,13 @@ useEffect(() => {
   }}
 >
   <div>
-    Developed by <strong>Vishand S</strong> — <em>Our Voice, Our Rights</em>
+    {t("footer.developedBy")} <strong>Vishand S</strong> — <em>{t("footer.tagline")}</em>
   </div>
   <div style={{ fontSize: 13, color: "#d3d3d3" }}>
-    Built for Citizens under the <strong>Build for Bharat Fellowship</strong>
+    {t("footer.builtFor")} <strong>Build for Bharat Fellowship</strong>
   </div>
   <div style={{ fontSize: 12, marginTop: 4 }}>
-    Data Source:{" "}
+    {t("footer.dataSource")}{" "}
     <a
       href="https://data.gov.in/"
       target="_blank"
@@ -524,6 +595,15 @@ useEffect(() => {
   </div>
 </footer>
 
+      <PrintReport
+        title={t(stateConfig.titleKey)}
+        scope={t("report.scope", { state: t(`state.${stateConfig.code}`), year: yearLabel })}
+        districtFilter={districtFilter}
+        insights={insights}
+        data={data}
+        chartImage={chartImage}
+        chartTitle={chartTitleText}
+      />
     </div>
   );
 }
@@ -0,0 +1,288 @@
+// src/App.test.jsx
+// The dashboard end to end against recorded backend responses: filters,
+// the debounced district search, the district modal and the language switch.
+import { readFileSync } from "node:fs";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { act, render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, useLocation, useNavigate } from "react-router-dom";
+import I18nProvider from "./i18n/I18nProvider";
+import App from "./App";
+import { fetchedParams, mockFetch } from "./test/mockFetch";
+import { axe } from "./test/axe";
+import year2023 from "./test/fixtures/backend-tamilnadu-2023-2024.json";
+import year2024 from "./test/fixtures/backend-tamilnadu-2024-2025.json";
+
+// Leaflet needs a real layout engine; the map has its own table fallback
+vi.mock("./components/DistrictMap", () => ({ default: () => null }));
+
+const YEARS = { "2023-2024": year2023, "2024-2025": year2024 };
+
+// the backend filters by year and, when given, by district
+const backend = (url) => {
+  const body = YEARS[url.searchParams.get("fin_year")] ?? { data: [] };
+  const district = url.searchParams.get("district_name");
+  if (!district) return body;
+  return { data: body.data.filter((r) => String(r.district_name || "").trim().toUpperCase() === district) };
+};
+
+const renderApp = (entry = "/?state=tn&year=2023-2024") =>
+  render(
+    <I18nProvider>
+      <MemoryRouter initialEntries={[entry]}>
+        <App />
+      </MemoryRouter>
+    </I18nProvider>
+  );
+
+// history controls and the current query string, for the URL-state tests
+function HistoryProbe() {
+  const navigate = useNavigate();
+  const { search } = useLocation();
+  return (
+    <>
+      <button onClick={() => navigate(-1)}>history back</button>
+      <output aria-label="query">{search}</output>
+    </>
+  );
+}
+
+const renderWithHistory = (entries) =>
+  render(
+    <I18nProvider>
+      <MemoryRouter initialEntries={entries} initialIndex={entries.length - 1}>
+        <App />
+        <HistoryProbe />
+      </MemoryRouter>
+    </I18nProvider>
+  );
+
+const query = () => new URLSearchParams(screen.getByRole("status", { name: "query" }).textContent);
+
+const readBlob = (blob) =>
+  new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+
+const districtTable = () =>
+  screen.findByRole("table", { name: "District figures. Choose a district name to open its details." });
+
+let fetch;
+beforeEach(() => {
+  localStorage.setItem("mgnrega.locale", "en");
+  fetch = mockFetch(backend);
+});
+
+describe("dashboard", () => {
+  it("lists each district once, however the source spells it", async () => {
+    renderApp();
+    const table = await districtTable();
+    await within(table).findByRole("button", { name: "MADURAI" });
+    expect(within(table).getByRole("button", { name: "SALEM" })).toBeInTheDocument();
+    expect(within(table).getByRole("button", { name: "The Nilgiris" })).toBeInTheDocument();
+    // Madurai and MADURAI, " salem " and SALEM are merged; nameless rows are dropped
+    expect(within(table).getAllByRole("row")).toHaveLength(4);
+  });
+
+  it("reloads when the year changes", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const table = await districtTable();
+    await within(table).findByRole("button", { name: "SALEM" });
+
+    await user.selectOptions(screen.getByRole("combobox", { name: "Year:" }), "2024-2025");
+
+    await waitFor(() => expect(within(table).queryByRole("button", { name: "SALEM" })).not.toBeInTheDocument());
+    expect(within(table).getByRole("button", { name: "madurai" })).toBeInTheDocument();
+    expect(fetchedParams(fetch).map((p) => p.get("fin_year"))).toContain("2024-2025");
+  });
+
+  it("waits for typing to pause before searching a district", async () => {
+    renderApp();
+    await within(await districtTable()).findByRole("button", { name: "SALEM" });
+    const searched = () => fetchedParams(fetch).filter((p) => p.has("district_name"));
+
+    // the clock still moves in real time so Testing Library's own waits work
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+    await user.type(screen.getByRole("combobox", { name: "District:" }), "Madurai");
+    act(() => vi.advanceTimersByTime(400));
+    expect(searched()).toHaveLength(0);
+
+    act(() => vi.advanceTimersByTime(100));
+    vi.useRealTimers();
+    await waitFor(() => expect(searched()).toHaveLength(1));
+    expect(searched()[0].get("district_name")).toBe("MADURAI");
+    const table = await districtTable();
+    await waitFor(() => expect(within(table).queryByRole("button", { name: "SALEM" })).not.toBeInTheDocument());
+  });
+
+  it("opens a district from the keyboard and closes with Escape", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const button = await within(await districtTable()).findByRole("button", { name: "MADURAI" });
+
+    button.focus();
+    await user.keyboard("{Enter}");
+    const dialog = await screen.findByRole("dialog");
+    expect(within(dialog).getByRole("heading", { name: /MADURAI/ })).toBeInTheDocument();
+    expect(dialog).toContainElement(document.activeElement);
+
+    await user.keyboard("{Escape}");
+    expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+    expect(button).toHaveFocus();
+  });
+
+  it("has no axe violations, with and without the district modal open", async () => {
+    const user = userEvent.setup();
+    const { container } = renderApp();
+    const table = await districtTable();
+    await within(table).findByRole("button", { name: "MADURAI" });
+    expect(await axe(container)).toHaveNoViolations();
+
+    await user.click(within(table).getByRole("button", { name: "MADURAI" }));
+    await screen.findByRole("dialog");
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("keeps the colour keys in colour with high contrast on", async () => {
+    localStorage.setItem("mgnrega.display", JSON.stringify({ highContrast: true }));
+    const { container } = renderApp("/?state=tn&year=2023-2024&compare=MADURAI,SALEM");
+    await within(await districtTable()).findByRole("button", { name: "MADURAI" });
+    // jsdom won't let a stylesheet override inline colours, so test the
+    // elements against the rule that blacks everything out instead
+    const style = document.createElement("style");
+    style.textContent = readFileSync(`${import.meta.dirname}/App.css`, "utf8");
+    document.head.append(style);
+    const blackout = [...style.sheet.cssRules]
+      .flatMap((r) => [...(r.cssRules ?? [r])])
+      .find((r) => /^(#000|rgb\(0, 0, 0\))$/.test(r.style?.getPropertyValue("background-color"))).selectorText;
+
+    const root = container.querySelector(".app-root.contrast-high");
+    expect(root.matches(blackout)).toBe(true);
+    expect(screen.getAllByRole("heading", { level: 1 })[0].matches(blackout)).toBe(true);
+
+    const traffic = screen.getAllByRole("img", { name: /On track|Needs attention|Behind/ });
+    expect(traffic.length).toBeGreaterThan(0);
+    const swatches = root.querySelectorAll(".swatch");
+    // the scorecard lights, the chart key and a dot per compared district
+    expect(swatches.length).toBeGreaterThanOrEqual(traffic.length + 5 + 2);
+    for (const el of [...traffic, ...swatches]) expect(el.matches(blackout)).toBe(false);
+    style.remove();
+  });
+
+  it("switches language", async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await districtTable();
+
+    await user.selectOptions(screen.getByRole("combobox", { name: "Language" }), "ta");
+
+    expect(screen.getAllByRole("heading", { level: 1 })[0]).toHaveTextContent("எம்.ஜி.என்.ஆர்.இ.ஜி.ஏ");
+    expect(document.documentElement.lang).toBe("ta");
+    expect(localStorage.getItem("mgnrega.locale")).toBe("ta");
+  });
+
+  it("follows ?lang= back and forward over a saved preference", async () => {
+    const user = userEvent.setup();
+    renderWithHistory(["/?state=tn&year=2023-2024", "/?state=tn&year=2023-2024&lang=hi"]);
+    await waitFor(() => expect(document.documentElement.lang).toBe("hi"));
+
+    await user.click(screen.getByRole("button", { name: "history back" }));
+    await waitFor(() => expect(document.documentElement.lang).toBe("en"));
+    expect(localStorage.getItem("mgnrega.locale")).toBe("en");
+  });
+
+  it("drops the other state's comparison, filter and sort when the state changes", async () => {
+    const user = userEvent.setup();
+    renderWithHistory(["/?state=tn&year=2023-2024&compare=MADURAI,SALEM&q=sa&sort=Total_Exp&dir=asc&selected=SALEM"]);
+    await districtTable();
+
+    await user.selectOptions(screen.getByRole("combobox", { name: "State:" }), "ka");
+    await waitFor(() => expect(query().get("state")).toBe("ka"));
+    for (const param of ["compare", "q", "sort", "dir", "selected", "district"]) expect(query().has(param)).toBe(false);
+    expect(query().get("year")).toBe("2023-2024");
+  });
+
+  it("drops compared names that aren't loaded when adding a district", async () => {
+    const user = userEvent.setup();
+    renderWithHistory(["/?state=tn&year=2023-2024&compare=MADURAI,GONE,SALEM,LOST,MISSING"]);
+    await within(await districtTable()).findByRole("button", { name: "MADURAI" });
+
+    await user.selectOptions(screen.getByRole("combobox", { name: "Add a district…" }), "THE NILGIRIS");
+    await waitFor(() => expect(query().get("compare")).toBe("MADURAI,SALEM,THE NILGIRIS"));
+    expect(screen.getByRole("button", { name: "Remove The Nilgiris" })).toBeInTheDocument();
+  });
+
+  it("exports the table's rows as filtered and sorted", async () => {
+    const user = userEvent.setup();
+    // jsdom has no object URLs or downloads; keep the blobs to read them back
+    const blobs = [];
+    URL.createObjectURL = vi.fn((blob) => blobs.push(blob) && "blob:export");
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    renderApp("/?state=tn&year=2023-2024&q=r&sort=district_display&dir=desc");
+    await within(await districtTable()).findByRole("button", { name: "MADURAI" });
+
+    await user.click(screen.getByRole("button", { name: "Districts (CSV)" }));
+    await user.click(screen.getByRole("button", { name: "Monthly records (CSV)" }));
+    click.mockRestore();
+    const [districts, records] = await Promise.all(blobs.map(readBlob));
+    const names = districts.trim().split("\r\n").slice(1).map((line) => line.split(",")[2]);
+    expect(names).toEqual(["The Nilgiris", "MADURAI"]);
+    const recorded = new Set(records.trim().split("\r\n").slice(1).map((line) => line.split(",")[1].trim().toUpperCase()));
+    expect([...recorded].sort()).toEqual(["MADURAI", "THE NILGIRIS"]);
+  });
+
+  it("tells an outage apart from an empty result and retries", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const user = userEvent.setup();
+    fetch = mockFetch(() => new Response("upstream timeout", { status: 503 }));
+    renderApp("/?state=tn&year=2022-2023");
+
+    const alert = await screen.findByRole("alert");
+    expect(alert).toHaveTextContent("The data service had a problem");
+    expect(alert).toHaveTextContent("code 503");
+    expect(screen.queryByText("No data available.")).not.toBeInTheDocument();
+
+    fetch = mockFetch(() => year2023);
+    await user.click(within(alert).getByRole("button", { name: "Try again" }));
+    await within(await districtTable()).findByRole("button", { name: "SALEM" });
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  });
+});
+
+describe("location", () => {
+  const stubPosition = (latitude, longitude) => {
+    const getCurrentPosition = vi.fn((ok) => ok({ coords: { latitude, longitude } }));
+    vi.stubGlobal("navigator", { ...navigator, geolocation: { getCurrentPosition } });
+    return getCurrentPosition;
+  };
+
+  it("asks which district when the position is near a border", async () => {
+    localStorage.setItem("mgnrega.locationConsent", "granted");
+    stubPosition(9.95, 78.3);
+    const user = userEvent.setup();
+    renderApp("/");
+
+    const prompt = await screen.findByText(/near a district border/);
+    const box = prompt.parentElement;
+    expect(screen.getByRole("combobox", { name: "District:" })).toHaveValue("");
+
+    await user.click(within(box).getByRole("button", { name: "Sivaganga" }));
+    expect(await screen.findByText("Showing Sivaganga, found from your location.")).toBeInTheDocument();
+  });
+
+  it("leaves a shared link alone even with consent from an earlier visit", async () => {
+    localStorage.setItem("mgnrega.locationConsent", "granted");
+    const getCurrentPosition = stubPosition(11.66, 78.15);
+    renderWithHistory(["/?state=tn&year=2023-2024&selected=MADURAI"]);
+
+    expect(await screen.findByRole("dialog")).toHaveTextContent("MADURAI");
+    expect(getCurrentPosition).not.toHaveBeenCalled();
+    expect(query().has("district")).toBe(false);
+    expect(query().get("selected")).toBe("MADURAI");
+  });
+});
@@ -0,0 +1,49 @@
+import { Navigate, Route, Routes, useParams } from "react-router-dom";
+import App from "./App.jsx";
+import Login from "./pages/Login/login.jsx";
+import OTP from "./pages/OTP/OTP.jsx";
+import DistrictSelect from "./pages/DistrictSelect/DistrictSelect.jsx";
+import NotFound from "./pages/NotFound/NotFound.jsx";
+import Welcome from "./pages/Wizard/Welcome.jsx";
+import WizardState from "./pages/Wizard/StateSelect.jsx";
+import WizardDistrict from "./pages/Wizard/DistrictSelect.jsx";
+import RationCard from "./pages/Wizard/RationCard.jsx";
+import Entitlement from "./pages/Entitlement/Entitlement.jsx";
+import Explorer from "./pages/Explorer/Explorer.jsx";
+import RequireAuth from "./components/RequireAuth.jsx";
+import { useAuth } from "./context/auth";
+
+// Signed-in users have no business on the login screens.
+function PublicOnly({ children }) {
+  const { user, initializing } = useAuth();
+  if (initializing) return null;
+  return user ? <Navigate to="/" replace /> : children;
+}
+
+// Remount the dashboard when the linked district changes so it re-reads the URL.
+function DistrictDashboard() {
+  const { name } = useParams();
+  return <App key={name} />;
+}
+
+export default function AppRoutes() {
+  return (
+    <Routes>
+      <Route path="/login" element={<PublicOnly><Login /></PublicOnly>} />
+      <Route path="/otp" element={<OTP />} />
+
+      <Route path="/" element={<RequireAuth><App /></RequireAuth>} />
+      <Route path="/district" element={<RequireAuth><DistrictSelect /></RequireAuth>} />
+      <Route path="/district/:name" element={<RequireAuth><DistrictDashboard /></RequireAuth>} />
+      <Route path="/entitlement" element={<RequireAuth><Entitlement /></RequireAuth>} />
+      <Route path="/explorer" element={<RequireAuth><Explorer /></RequireAuth>} />
+
+      <Route path="/welcome" element={<RequireAuth><Welcome /></RequireAuth>} />
+      <Route path="/welcome/state" element={<RequireAuth><WizardState /></RequireAuth>} />
+      <Route path="/welcome/district" element={<RequireAuth><WizardDistrict /></RequireAuth>} />
+      <Route path="/welcome/ration-card" element={<RequireAuth><RationCard /></RequireAuth>} />
+
+      <Route path="*" element={<NotFound />} />
+    </Routes>
+  );
+}
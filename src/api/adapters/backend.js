@@ -0,0 +1,27 @@
+// src/api/adapters/backend.js
+// The project's own backend (a proxy over data.gov.in on Render).
+import { fromBackendRow } from "../records";
+import { fetchJson } from "../http";
+import { AppError } from "../../utils/errors";
+
+const BASE_URL =
+  import.meta.env.VITE_MGNREGA_API_BASE || "https://mgnrega-backend-icrp.onrender.com/get_data";
+
+export default {
+  name: "backend",
+
+  async fetchRecords({ stateName, finYear, district }, { signal } = {}) {
+    const params = new URLSearchParams();
+    if (stateName) params.append("state_name", stateName.toUpperCase());
+    if (finYear && finYear !== "All") params.append("fin_year", finYear);
+    if (district) params.append("district_name", district.toUpperCase());
+    const url = `${BASE_URL}?${params.toString()}`;
+    const json = await fetchJson(url, { signal, source: "backend" });
+    const rows = json?.data ?? json ?? [];
+    if (!Array.isArray(rows)) {
+      throw new AppError("payload", "Expected a list of rows in `data`", { source: "backend", url });
+    }
+    const records = rows.map((r) => fromBackendRow(r, stateName));
+    return { records, total: records.length };
+  },
+};
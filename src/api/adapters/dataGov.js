@@ -0,0 +1,36 @@
+// src/api/adapters/dataGov.js
+// data.gov.in open API: paged with offset/limit, filters as filters[field].
+// Filters match the stored value exactly: state and district names are
+// upper case, and the month is in `month_name` as "Apr" … "Mar".
+import { fromDataGovRow } from "../records";
+import { fetchJson } from "../http";
+import { AppError, redactUrl } from "../../utils/errors";
+import { FY_MONTH_NAMES, monthIndex } from "../../utils/period";
+
+const BASE_URL = import.meta.env.VITE_DATA_GOV_BASE || "https://api.data.gov.in/resource";
+const RESOURCE_ID = import.meta.env.VITE_DATA_GOV_RESOURCE_ID || "8f9b7a76-8f55-4f24-bfc1-54b24c23e9d3";
+const API_KEY = import.meta.env.VITE_DATA_GOV_KEY;
+
+export default {
+  name: "datagov",
+
+  async fetchRecords({ stateName, finYear, district, month, offset = 0, limit = 200 }, { signal } = {}) {
+    const params = new URLSearchParams({ format: "json", offset: String(offset), limit: String(limit) });
+    if (API_KEY) params.append("api-key", API_KEY);
+    if (stateName) params.append("filters[state_name]", stateName.toUpperCase());
+    if (finYear && finYear !== "All") params.append("filters[fin_year]", finYear);
+    if (district) params.append("filters[district_name]", district.toUpperCase());
+    if (month) params.append("filters[month_name]", FY_MONTH_NAMES[monthIndex(month)] ?? month);
+    const url = `${BASE_URL}/${RESOURCE_ID}?${params.toString()}`;
+    const json = await fetchJson(url, { signal, source: "datagov" });
+    // data.gov.in reports some failures (bad key, unknown resource) in a 200
+    if (!Array.isArray(json?.records)) {
+      throw new AppError("payload", json?.message || json?.error || "Expected a `records` list", {
+        source: "datagov",
+        url: redactUrl(url),
+      });
+    }
+    const records = json.records.map((r) => fromDataGovRow(r, stateName));
+    return { records, total: Number(json.total) || records.length };
+  },
+};
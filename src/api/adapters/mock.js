@@ -0,0 +1,27 @@
+// src/api/adapters/mock.js
+// Serves recorded backend responses from src/api/fixtures, so the dashboard
+// can be developed and demoed without either API. Fixtures are named
+// "<state>-<fin_year>.json" with the state lower-cased and unspaced.
+import { fromBackendRow } from "../records";
+import { monthIndex } from "../../utils/period";
+
+const fixtures = import.meta.glob("../fixtures/*.json", { eager: true, import: "default" });
+
+const fixtureRows = () => Object.values(fixtures).flat();
+
+export default {
+  name: "mock",
+
+  async fetchRecords({ stateName, finYear, district, month, offset = 0, limit = Infinity }, { signal } = {}) {
+    if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+    const state = (stateName || "").toUpperCase();
+    const name = (district || "").toUpperCase();
+    const matches = fixtureRows()
+      .filter((r) => !state || r.state_name === state)
+      .filter((r) => !finYear || finYear === "All" || r.fin_year === finYear)
+      .filter((r) => !name || r.district_name === name)
+      .filter((r) => !month || monthIndex(r.month) === monthIndex(month))
+      .map((r) => fromBackendRow(r, stateName));
+    return { records: matches.slice(offset, offset + limit), total: matches.length };
+  },
+};
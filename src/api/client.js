@@ -0,0 +1,20 @@
+// src/api/client.js
+// Single entry point for MGNREGA data. Each adapter in ./adapters talks to
+// one source and returns normalised records (see ./records), so callers never
+// care which API answered. VITE_DATA_SOURCE picks the default source.
+import backend from "./adapters/backend";
+import dataGov from "./adapters/dataGov";
+import mock from "./adapters/mock";
+
+export const SOURCES = { backend, datagov: dataGov, mock };
+
+export const DEFAULT_SOURCE = SOURCES[import.meta.env.VITE_DATA_SOURCE] ? import.meta.env.VITE_DATA_SOURCE : "backend";
+
+// query: { stateName, finYear, district, month, offset, limit }.
+// Resolves with { records, total, source }.
+export const fetchRecords = async (query, { source = DEFAULT_SOURCE, signal } = {}) => {
+  const adapter = SOURCES[source];
+  if (!adapter) throw new Error(`Unknown data source "${source}"`);
+  const { records, total } = await adapter.fetchRecords(query, { signal });
+  return { records, total, source: adapter.name };
+};
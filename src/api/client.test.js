@@ -0,0 +1,72 @@
+// src/api/client.test.js
+import { describe, expect, it } from "vitest";
+import { fetchRecords } from "./client";
+import { fetchedParams, jsonResponse, mockFetch } from "../test/mockFetch";
+import year2023 from "../test/fixtures/backend-tamilnadu-2023-2024.json";
+import dataGovPage from "../test/fixtures/datagov-page.json";
+
+describe("backend source", () => {
+  it("sends upper-case filters and normalises the rows", async () => {
+    const fetch = mockFetch(() => year2023);
+    const { records, total, source } = await fetchRecords(
+      { stateName: "Tamil Nadu", finYear: "2023-2024", district: "Madurai" },
+      { source: "backend" }
+    );
+    const [params] = fetchedParams(fetch);
+    expect(params.get("state_name")).toBe("TAMIL NADU");
+    expect(params.get("fin_year")).toBe("2023-2024");
+    expect(params.get("district_name")).toBe("MADURAI");
+    expect(source).toBe("backend");
+    expect(total).toBe(records.length);
+    expect(records[0]).toMatchObject({ district_name: "MADURAI", Total_Exp: 1000.5 });
+  });
+
+  it("leaves out the year filter for All", async () => {
+    const fetch = mockFetch(() => ({ data: [] }));
+    await fetchRecords({ stateName: "Tamil Nadu", finYear: "All" }, { source: "backend" });
+    expect(fetchedParams(fetch)[0].has("fin_year")).toBe(false);
+  });
+
+  it("rejects with the status on an HTTP error", async () => {
+    mockFetch(() => jsonResponse({ error: "down" }, { status: 503, statusText: "Service Unavailable" }));
+    await expect(fetchRecords({ stateName: "Tamil Nadu" }, { source: "backend" })).rejects.toMatchObject({
+      kind: "http",
+      status: 503,
+      source: "backend",
+    });
+  });
+
+  it("rejects a body without rows as a malformed payload", async () => {
+    mockFetch(() => ({ data: { message: "maintenance" } }));
+    await expect(fetchRecords({ stateName: "Tamil Nadu" }, { source: "backend" })).rejects.toHaveProperty("kind", "payload");
+  });
+});
+
+describe("data.gov.in source", () => {
+  it("pages with offset/limit and reports the total", async () => {
+    const fetch = mockFetch(() => dataGovPage);
+    const { records, total } = await fetchRecords(
+      { stateName: "Tamil Nadu", finYear: "2024-2025", month: "april", offset: 100, limit: 2 },
+      { source: "datagov" }
+    );
+    const [params] = fetchedParams(fetch);
+    expect(params.get("offset")).toBe("100");
+    expect(params.get("limit")).toBe("2");
+    expect(params.get("filters[state_name]")).toBe("TAMIL NADU");
+    expect(params.get("filters[month_name]")).toBe("Apr");
+    expect(total).toBe(3);
+    expect(records.map((r) => r.district_name)).toEqual(["MADURAI", "SALEM"]);
+  });
+
+  it("treats an error message in a 200 response as a malformed payload", async () => {
+    mockFetch(() => ({ status: "error", message: "Invalid API key" }));
+    await expect(fetchRecords({ stateName: "Tamil Nadu" }, { source: "datagov" })).rejects.toMatchObject({
+      kind: "payload",
+      message: "Invalid API key",
+    });
+  });
+});
+
+it("rejects an unknown source", async () => {
+  await expect(fetchRecords({}, { source: "nope" })).rejects.toThrow(/Unknown data source/);
+});
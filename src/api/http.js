@@ -0,0 +1,46 @@
+// src/api/http.js
+// fetch + JSON for the adapters, with every failure turned into an AppError
+// (see utils/errors). Aborts pass through untouched so callers can keep
+// ignoring them.
+import { AppError, redactUrl } from "../utils/errors";
+
+// Seconds, from either form of Retry-After.
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, Math.round((date - Date.now()) / 1000));
+};
+
+export const fetchJson = async (url, { signal, source } = {}) => {
+  const context = { source, url: redactUrl(url) };
+  let res;
+  try {
+    res = await fetch(url, { signal });
+  } catch (err) {
+    if (err?.name === "AbortError") throw err;
+    throw new AppError("network", err?.message || "Network request failed", { ...context, cause: err });
+  }
+
+  if (!res.ok) {
+    const body = await res.text().catch(() => "");
+    const message = `HTTP ${res.status} ${res.statusText}${body ? ` — ${body.slice(0, 200)}` : ""}`.trim();
+    if (res.status === 429) {
+      const retryAfter = parseRetryAfter(res.headers.get("Retry-After"));
+      throw new AppError("rateLimit", message, { ...context, status: res.status, retryAfter });
+    }
+    throw new AppError("http", message, { ...context, status: res.status });
+  }
+
+  try {
+    return await res.json();
+  } catch (err) {
+    if (err?.name === "AbortError") throw err;
+    throw new AppError("payload", `Response is not valid JSON: ${err?.message || err}`, {
+      ...context,
+      status: res.status,
+      cause: err,
+    });
+  }
+};
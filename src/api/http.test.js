@@ -0,0 +1,59 @@
+// src/api/http.test.js
+import { describe, expect, it } from "vitest";
+import { fetchJson } from "./http";
+import { AppError } from "../utils/errors";
+import { jsonResponse, mockFetch } from "../test/mockFetch";
+
+const failure = (url = "https://api.example/x?api-key=secret&limit=1") =>
+  fetchJson(url, { source: "datagov" }).then(
+    () => null,
+    (err) => err
+  );
+
+describe("fetchJson", () => {
+  it("returns the parsed body", async () => {
+    mockFetch(() => ({ records: [] }));
+    await expect(fetchJson("https://api.example/x")).resolves.toEqual({ records: [] });
+  });
+
+  it("calls a failed request a network error", async () => {
+    mockFetch(() => Promise.reject(new TypeError("Failed to fetch")));
+    const err = await failure();
+    expect(err).toBeInstanceOf(AppError);
+    expect(err).toMatchObject({ kind: "network", source: "datagov", status: null });
+  });
+
+  it("reads 429 as a rate limit with its Retry-After", async () => {
+    mockFetch(() => jsonResponse({ message: "slow down" }, { status: 429, headers: { "Retry-After": "30" } }));
+    expect(await failure()).toMatchObject({ kind: "rateLimit", status: 429, retryAfter: 30 });
+  });
+
+  it("keeps the status of other HTTP errors", async () => {
+    mockFetch(() => new Response("upstream timeout", { status: 503, statusText: "Service Unavailable" }));
+    const err = await failure();
+    expect(err).toMatchObject({ kind: "http", status: 503 });
+    expect(err.message).toContain("upstream timeout");
+  });
+
+  it("calls a body that isn't JSON a malformed payload", async () => {
+    mockFetch(() => new Response("<html>maintenance</html>", { status: 200 }));
+    expect(await failure()).toMatchObject({ kind: "payload", status: 200 });
+  });
+
+  it("leaves the API key out of the recorded URL", async () => {
+    mockFetch(() => new Response("", { status: 500 }));
+    const err = await failure();
+    expect(err.url).not.toContain("secret");
+    expect(err.url).toContain("limit=1");
+  });
+
+  it("passes aborts through unchanged", async () => {
+    mockFetch(() => null);
+    const controller = new AbortController();
+    controller.abort();
+    await expect(fetchJson("https://api.example/x", { signal: controller.signal })).rejects.toHaveProperty(
+      "name",
+      "AbortError"
+    );
+  });
+});
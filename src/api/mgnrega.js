@@ -0,0 +1,82 @@
+// src/api/mgnrega.js
+import { cacheKey, getCached, setCached } from "../utils/cache";
+import { fetchRecords, DEFAULT_SOURCE } from "./client";
+import { AppError, toAppError } from "../utils/errors";
+
+const CACHE_MAX_AGE = 6 * 60 * 60 * 1000;
+const CONCURRENCY = 3;
+
+export const isAbortError = (err) => err?.name === "AbortError";
+
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+// Fetch one financial year of normalised records. Resolves with
+// { rows, savedAt, offline }. Fresh cache entries are served unless `force`
+// is set; when the network fails the last successful response is used,
+// however old, with offline=true. A fresh entry read while the browser is
+// offline is flagged offline too, so the banner still says so.
+export const fetchYear = async ({ stateName, finYear, district, signal, force = false, source = DEFAULT_SOURCE }) => {
+  const key = cacheKey(source, stateName, finYear, district);
+  if (!force) {
+    const cached = await getCached(key, CACHE_MAX_AGE);
+    // a cache hit must not outlive the request that asked for it
+    signal?.throwIfAborted();
+    if (cached) return { rows: cached.value, savedAt: cached.savedAt, offline: isOffline() };
+  }
+
+  try {
+    if (isOffline()) throw new AppError("network", "Browser is offline", { source });
+    const { records: rows } = await fetchRecords({ stateName, finYear, district }, { source, signal });
+    const entry = await setCached(key, rows);
+    return { rows, savedAt: entry.savedAt, offline: false };
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    const snapshot = await getCached(key);
+    if (snapshot) return { rows: snapshot.value, savedAt: snapshot.savedAt, offline: true };
+    throw toAppError(err, { source });
+  }
+};
+
+// Run `worker` over `items` with at most `limit` in flight at once.
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+};
+
+// Fetch several years in parallel. Resolves with the rows per year, the
+// years that failed with their AppErrors, and the oldest snapshot time when
+// any year was served offline; rejects only when the request was aborted.
+export const fetchYears = async (years, { stateName, district, signal, force = false, source }) => {
+  const settled = await mapWithConcurrency(years, CONCURRENCY, async (finYear) => {
+    try {
+      return { finYear, ...(await fetchYear({ stateName, finYear, district, signal, force, source })) };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      return { finYear, error };
+    }
+  });
+
+  const rowsByYear = {};
+  const failed = [];
+  const errors = {};
+  let offlineSince = null;
+  for (const r of settled) {
+    if (r.error) {
+      console.warn(`year ${r.finYear} fetch failed:`, r.error.message || r.error);
+      failed.push(r.finYear);
+      errors[r.finYear] = r.error;
+      continue;
+    }
+    rowsByYear[r.finYear] = r.rows;
+    if (r.offline) offlineSince = Math.min(offlineSince ?? r.savedAt, r.savedAt);
+  }
+  return { rowsByYear, failed, errors, offlineSince };
+};
@@ -0,0 +1,39 @@
+// src/api/mgnrega.test.js
+import { describe, expect, it, vi } from "vitest";
+import { fetchYear, isAbortError } from "./mgnrega";
+import { mockFetch } from "../test/mockFetch";
+import year2023 from "../test/fixtures/backend-tamilnadu-2023-2024.json";
+
+describe("fetchYear", () => {
+  it("serves a second request from the cache", async () => {
+    const fetch = mockFetch(() => year2023);
+    const query = { stateName: "Tamil Nadu", finYear: "2023-2024", district: "Madurai", source: "backend" };
+    await fetchYear(query);
+    const { rows, offline } = await fetchYear(query);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(offline).toBe(false);
+    expect(rows[0].district_name).toBe("MADURAI");
+  });
+
+  it("marks a cache hit offline when the browser is", async () => {
+    const fetch = mockFetch(() => year2023);
+    const query = { stateName: "Tamil Nadu", finYear: "2023-2024", district: "Madurai", source: "backend" };
+    const first = await fetchYear(query);
+    vi.stubGlobal("navigator", { ...navigator, onLine: false });
+    const { rows, savedAt, offline } = await fetchYear(query);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(offline).toBe(true);
+    expect(savedAt).toBe(first.savedAt);
+    expect(rows).toEqual(first.rows);
+  });
+
+  it("rejects a cache hit once the request has been aborted", async () => {
+    mockFetch(() => year2023);
+    const query = { stateName: "Tamil Nadu", finYear: "2023-2024", district: "Salem", source: "backend" };
+    await fetchYear(query);
+    const controller = new AbortController();
+    controller.abort();
+    const err = await fetchYear({ ...query, signal: controller.signal }).catch((e) => e);
+    expect(isAbortError(err)).toBe(true);
+  });
+});
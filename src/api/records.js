@@ -0,0 +1,95 @@
+// src/api/records.js
+// The one record shape every source adapter produces. Components and the
+// aggregation layer only ever see this shape, never a source's own schema.
+
+/**
+ * One district, one month.
+ * @typedef {Object} MgnregaRecord
+ * @property {string} district_name   upper-case key, e.g. "MADURAI"
+ * @property {string} district_display name as the source spells it
+ * @property {string} state_name
+ * @property {string} fin_year        "2023-2024", or "—" when missing
+ * @property {string} month           "April", "Apr", … or "—" when missing
+ * @property {number} Approved_Labour_Budget
+ * @property {number} Average_Wage_rate_per_day_per_person  ₹ per day
+ * @property {number} Average_days_of_employment_provided_per_Household
+ * @property {number} Total_Households_Worked
+ * @property {number} Total_Individuals_Worked
+ * @property {number} Persondays       person-days generated
+ * @property {number} Total_Exp        ₹ lakhs
+ * @property {number} Wages            ₹ lakhs
+ */
+
+// "1,23,456" → 123456; anything unparseable → 0.
+export const toNumber = (v) => {
+  if (v === null || v === undefined) return 0;
+  if (typeof v === "number") return v;
+  const cleaned = String(v).replace(/,/g, "").trim();
+  const n = Number(cleaned);
+  return isNaN(n) ? 0 : n;
+};
+
+const text = (v) => String(v ?? "").trim();
+
+const baseRecord = ({ district, state, finYear, month }) => {
+  const district_clean = text(district);
+  return {
+    district_name: district_clean.toUpperCase(),
+    district_display: district_clean,
+    state_name: text(state).toUpperCase(),
+    fin_year: text(finYear) || "—",
+    month: text(month) || "—",
+  };
+};
+
+/** @returns {MgnregaRecord} */
+export const fromBackendRow = (r, fallbackState = "") => ({
+  ...baseRecord({
+    district: r.district_name || r.District,
+    state: r.state_name || fallbackState,
+    finYear: r.fin_year,
+    month: r.month,
+  }),
+  Approved_Labour_Budget: toNumber(r.Approved_Labour_Budget),
+  Average_Wage_rate_per_day_per_person: toNumber(r.Average_Wage_rate_per_day_per_person),
+  Average_days_of_employment_provided_per_Household: toNumber(r.Average_days_of_employment_provided_per_Household),
+  Total_Households_Worked: toNumber(r.Total_Households_Worked),
+  Total_Individuals_Worked: toNumber(r.Total_Individuals_Worked),
+  Persondays: toNumber(r.Persondays_of_Central_Liability_so_far ?? r.Total_Persondays_Generated),
+  Total_Exp: toNumber(r.Total_Exp),
+  Wages: toNumber(r.Wages),
+});
+
+/** @returns {MgnregaRecord} */
+export const fromDataGovRow = (r, fallbackState = "") => ({
+  ...baseRecord({
+    district: r.district_name,
+    state: r.state_name || fallbackState,
+    finYear: r.fin_year,
+    month: r.month_name ?? r.month,
+  }),
+  Approved_Labour_Budget: toNumber(r.approved_labour_budget),
+  Average_Wage_rate_per_day_per_person: toNumber(r.average_wage_rate_per_day_per_person),
+  Average_days_of_employment_provided_per_Household: toNumber(r.average_days_of_employment_provided_per_household),
+  Total_Households_Worked: toNumber(r.no_of_hh_worked),
+  Total_Individuals_Worked: toNumber(r.no_of_individuals_worked),
+  Persondays: toNumber(r.total_persondays_gen),
+  Total_Exp: toNumber(r.total_exp),
+  Wages: toNumber(r.total_wages_paid),
+});
+
+// Field order used wherever records are written out (exports).
+export const RECORD_FIELDS = [
+  "state_name",
+  "district_display",
+  "fin_year",
+  "month",
+  "Approved_Labour_Budget",
+  "Average_Wage_rate_per_day_per_person",
+  "Average_days_of_employment_provided_per_Household",
+  "Total_Households_Worked",
+  "Total_Individuals_Worked",
+  "Persondays",
+  "Total_Exp",
+  "Wages",
+];
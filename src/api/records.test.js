@@ -0,0 +1,73 @@
+// src/api/records.test.js
+import { describe, expect, it } from "vitest";
+import { fromBackendRow, fromDataGovRow, toNumber } from "./records";
+import backendYear from "../test/fixtures/backend-tamilnadu-2023-2024.json";
+import dataGovPage from "../test/fixtures/datagov-page.json";
+
+describe("toNumber", () => {
+  it("reads Indian and western digit grouping", () => {
+    expect(toNumber("1,23,456")).toBe(123456);
+    expect(toNumber("2,500.75")).toBe(2500.75);
+    expect(toNumber(" 42 ")).toBe(42);
+  });
+
+  it("turns missing or unparseable values into 0", () => {
+    expect(toNumber(null)).toBe(0);
+    expect(toNumber(undefined)).toBe(0);
+    expect(toNumber("NA")).toBe(0);
+    expect(toNumber("")).toBe(0);
+  });
+});
+
+describe("fromBackendRow", () => {
+  it("keys districts by upper-case name and keeps the source spelling for display", () => {
+    const r = fromBackendRow(backendYear.data[2]);
+    expect(r.district_name).toBe("SALEM");
+    expect(r.district_display).toBe("salem");
+    expect(r.state_name).toBe("TAMIL NADU");
+    expect(r.Total_Households_Worked).toBe(8000);
+    expect(r.Persondays).toBe(80000);
+  });
+
+  it("falls back to Total_Persondays_Generated and the queried state", () => {
+    const row = { ...backendYear.data[0], state_name: "", Total_Persondays_Generated: "7,000" };
+    delete row.Persondays_of_Central_Liability_so_far;
+    const r = fromBackendRow(row, "Tamil Nadu");
+    expect(r.state_name).toBe("TAMIL NADU");
+    expect(r.Persondays).toBe(7000);
+  });
+
+  it("leaves an empty key for rows without a district", () => {
+    expect(fromBackendRow(backendYear.data[5]).district_name).toBe("");
+    expect(fromBackendRow(backendYear.data[6]).district_name).toBe("");
+  });
+});
+
+describe("fromDataGovRow", () => {
+  it("maps data.gov.in's lower-case fields onto the record shape", () => {
+    const r = fromDataGovRow(dataGovPage.records[0]);
+    expect(r).toMatchObject({
+      district_name: "MADURAI",
+      state_name: "TAMIL NADU",
+      fin_year: "2024-2025",
+      month: "Apr",
+      Average_Wage_rate_per_day_per_person: 320.5,
+      Total_Households_Worked: 5000,
+      Persondays: 40000,
+      Total_Exp: 400.1,
+      Wages: 320,
+    });
+  });
+
+  it("reads month_name and fills gaps with zeros", () => {
+    const r = fromDataGovRow(dataGovPage.records[1], "Tamil Nadu");
+    expect(r.month).toBe("May");
+    expect(r.state_name).toBe("TAMIL NADU");
+    expect(r.Total_Households_Worked).toBe(0);
+    expect(r.Total_Exp).toBe(0);
+  });
+
+  it("falls back to a plain month field", () => {
+    expect(fromDataGovRow({ district_name: "SALEM", month: "Jun" }, "TAMIL NADU").month).toBe("Jun");
+  });
+});
@@ -0,0 +1,230 @@
+// src/components/ChartBuilder.jsx
+// The dashboard chart: metric, top/bottom N and chart type are chosen by
+// the user (see src/utils/chart.js). Colours follow the value, not the rank.
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  CartesianGrid,
+  Cell,
+} from "recharts";
+import { useI18n } from "../i18n";
+import { findColumn, formatCell } from "../config/columns";
+import { CHART_METRICS, CHART_TYPES, COUNT_OPTIONS, byYear, isStackable, pickDistricts } from "../utils/chart";
+import { CHART_PALETTE, colourFor, yearColours } from "../utils/colours";
+import ChartTable from "./ChartTable";
+
+const selectStyle = { padding: 6, borderRadius: 6 };
+
+function ScatterTip({ active, payload, x, y }) {
+  const { t, fmt } = useI18n();
+  const d = active && payload?.[0]?.payload;
+  if (!d) return null;
+  return (
+    <div style={{ background: "white", border: "1px solid #c9d6e3", borderRadius: 6, padding: "6px 10px", fontSize: 13 }}>
+      <div style={{ fontWeight: 600 }}>{d.district_display}</div>
+      <div>
+        {t(x.label)}: {formatCell(x, d[x.key], { t, fmt })}
+      </div>
+      <div>
+        {t(y.label)}: {formatCell(y, d[y.key], { t, fmt })}
+      </div>
+    </div>
+  );
+}
+
+export default function ChartBuilder({ data, config, onChange, onSelect, title }) {
+  const { t, fmt, fmtCompact } = useI18n();
+  const column = findColumn(config.metric);
+  const xColumn = findColumn(config.xMetric);
+  // averages can't be stacked, so a stacked request shows plain bars
+  const type = config.type === "stacked" && !isStackable(config.metric) ? "bar" : config.type;
+  const rows = pickDistricts(data, config);
+  const values = rows.map((d) => d[config.metric]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const fill = (v) => colourFor(v, min, max, CHART_PALETTE);
+  const withUnit = (c) => `${t(c.label)} (${t(c.unit)})`;
+  const set = (patch) => onChange({ ...config, ...patch });
+  const stacked = type === "stacked" ? byYear(rows, config.metric) : null;
+  const colours = stacked ? yearColours(stacked.years) : null;
+  const yAxis = (props) => (
+    <YAxis
+      {...props}
+      tickFormatter={fmtCompact}
+      tick={{ fontSize: 11 }}
+      width={72}
+      label={{ value: t(column.unit), angle: -90, position: "insideLeft", style: { fontSize: 11, textAnchor: "middle" } }}
+    />
+  );
+
+  return (
+    <div>
+      <h2 style={{ fontSize: "1.17em", color: "#003366", textAlign: "center", margin: "0 0 10px 0" }}>{title}</h2>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", fontSize: 14, marginBottom: 10 }}>
+        <label>
+          {t("chart.type")}{" "}
+          <select value={config.type} onChange={(e) => set({ type: e.target.value })} style={selectStyle}>
+            {CHART_TYPES.map((ct) => (
+              <option key={ct} value={ct}>
+                {t(`chart.type.${ct}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {config.type === "scatter" ? t("chart.yMetric") : t("chart.metric")}{" "}
+          <select value={config.metric} onChange={(e) => set({ metric: e.target.value })} style={selectStyle}>
+            {CHART_METRICS.map((c) => (
+              <option key={c.key} value={c.key}>
+                {t(c.label)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {config.type === "scatter" && (
+          <label>
+            {t("chart.xMetric")}{" "}
+            <select value={config.xMetric} onChange={(e) => set({ xMetric: e.target.value })} style={selectStyle}>
+              {CHART_METRICS.map((c) => (
+                <option key={c.key} value={c.key}>
+                  {t(c.label)}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label>
+          {t("chart.show")}{" "}
+          <select
+            value={config.count ? config.order : "all"}
+            onChange={(e) =>
+              e.target.value === "all"
+                ? set({ count: 0 })
+                : set({ order: e.target.value, count: config.count || 10 })
+            }
+            style={selectStyle}
+          >
+            <option value="top">{t("chart.top")}</option>
+            <option value="bottom">{t("chart.bottom")}</option>
+            <option value="all">{t("chart.all")}</option>
+          </select>
+        </label>
+        {config.count > 0 && (
+          <select
+            value={config.count}
+            onChange={(e) => set({ count: Number(e.target.value) })}
+            aria-label={t("chart.count")}
+            style={selectStyle}
+          >
+            {COUNT_OPTIONS.filter(Boolean).map((n) => (
+              <option key={n} value={n}>
+                {fmt(n)}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      {config.type === "stacked" && type !== "stacked" && (
+        <p style={{ color: "#666", fontSize: 13, margin: "0 0 8px 0" }}>{t("chart.notStackable")}</p>
+      )}
+
+      <ResponsiveContainer width="100%" height={380}>
+        {type === "scatter" ? (
+          <ScatterChart margin={{ top: 8, right: 16, bottom: 24, left: 8 }}>
+            <CartesianGrid stroke="#e5e9ef" strokeDasharray="3 3" />
+            <XAxis
+              type="number"
+              dataKey={xColumn.key}
+              name={t(xColumn.label)}
+              tickFormatter={fmtCompact}
+              tick={{ fontSize: 11 }}
+              label={{ value: withUnit(xColumn), position: "insideBottom", offset: -14, style: { fontSize: 11 } }}
+            />
+            {yAxis({ type: "number", dataKey: column.key, name: t(column.label) })}
+            <Tooltip content={<ScatterTip x={xColumn} y={column} />} />
+            <Scatter data={rows} onClick={(d) => onSelect(d.payload ?? d)} cursor="pointer">
+              {rows.map((d) => (
+                <Cell key={d.district_name} fill={fill(d[config.metric])} stroke="#08306b" />
+              ))}
+            </Scatter>
+          </ScatterChart>
+        ) : type === "line" ? (
+          <LineChart data={rows} margin={{ top: 8, right: 16, bottom: 8, left: 8 }}>
+            <CartesianGrid stroke="#e5e9ef" strokeDasharray="3 3" />
+            <XAxis dataKey="district_display" tick={{ fontSize: 11 }} interval={rows.length > 20 ? "preserveStartEnd" : 0} />
+            {yAxis()}
+            <Tooltip formatter={(v) => formatCell(column, v, { t, fmt })} />
+            <Line
+              type="monotone"
+              dataKey={config.metric}
+              name={t(column.label)}
+              stroke={CHART_PALETTE[3]}
+              strokeWidth={2}
+              dot={({ cx, cy, payload, index }) => (
+                <circle key={index} cx={cx} cy={cy} r={4} fill={fill(payload[config.metric])} stroke="#08306b" />
+              )}
+            />
+          </LineChart>
+        ) : type === "stacked" ? (
+          <BarChart data={stacked.rows} margin={{ top: 8, right: 16, bottom: 8, left: 8 }}>
+            <CartesianGrid stroke="#e5e9ef" strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="district_display" tick={{ fontSize: 11 }} />
+            {yAxis()}
+            <Tooltip formatter={(v) => formatCell(column, v, { t, fmt })} />
+            <Legend />
+            {stacked.years.map((fy) => (
+              <Bar key={fy} dataKey={fy} name={fy} stackId="years" fill={colours[fy]} onClick={(_, i) => onSelect(rows[i])} cursor="pointer" />
+            ))}
+          </BarChart>
+        ) : (
+          <BarChart data={rows} margin={{ top: 8, right: 16, bottom: 8, left: 8 }}>
+            <CartesianGrid stroke="#e5e9ef" strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="district_display" tick={{ fontSize: 11 }} />
+            {yAxis()}
+            <Tooltip formatter={(v) => formatCell(column, v, { t, fmt })} />
+            <Bar dataKey={config.metric} name={t(column.label)} onClick={(_, i) => onSelect(rows[i])} cursor="pointer">
+              {rows.map((d) => (
+                <Cell key={d.district_name} fill={fill(d[config.metric])} />
+              ))}
+            </Bar>
+          </BarChart>
+        )}
+      </ResponsiveContainer>
+
+      {/* colour key: the scale runs from the lowest to the highest value shown */}
+      {type !== "stacked" && rows.length > 0 && (
+        <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6, fontSize: 12, color: "#444", flexWrap: "wrap" }}>
+          <span style={{ fontWeight: 600 }}>{withUnit(column)}:</span>
+          <span>{formatCell(column, min, { t, fmt })}</span>
+          {CHART_PALETTE.map((c) => (
+            <span key={c} className="swatch" style={{ width: 24, height: 12, background: c, display: "inline-block" }} />
+          ))}
+          <span>{formatCell(column, max, { t, fmt })}</span>
+        </div>
+      )}
+      {type === "stacked" && <div style={{ fontSize: 12, color: "#444", fontWeight: 600 }}>{withUnit(column)}</div>}
+
+      <ChartTable
+        caption={title}
+        columns={[
+          { key: "district_display", label: t("metric.district") },
+          ...(type === "scatter" ? [{ key: xColumn.key, label: t(xColumn.label), render: (d) => formatCell(xColumn, d[xColumn.key], { t, fmt }) }] : []),
+          ...(type === "stacked"
+            ? stacked.years.map((fy) => ({ key: fy, label: fy, render: (d) => (d[fy] == null ? "—" : formatCell(column, d[fy], { t, fmt })) }))
+            : [{ key: column.key, label: t(column.label), render: (d) => formatCell(column, d[column.key], { t, fmt }) }]),
+        ]}
+        rows={type === "stacked" ? stacked.rows : rows}
+        rowKey={(d) => d.district_name}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// src/components/ChartTable.jsx
+// Text alternative for a chart: the same numbers as a table, folded away
+// under "Show as table" so sighted users aren't shown everything twice.
+// `highlight(row)` may return a short label (e.g. why the row is flagged);
+// those rows are tinted, marked, and the table starts unfolded.
+import { useI18n } from "../i18n";
+
+export default function ChartTable({ caption, columns, rows, rowKey, highlight }) {
+  const { t } = useI18n();
+  const notes = rows.map((r) => highlight?.(r) || null);
+  return (
+    <details open={notes.some(Boolean)} style={{ marginTop: 8 }}>
+      <summary style={{ cursor: "pointer", color: "#003366", fontSize: 14 }}>{t("a11y.showTable")}</summary>
+      <div style={{ maxHeight: 320, overflow: "auto", marginTop: 6 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+          <caption style={{ textAlign: "left", fontWeight: 600, padding: "4px 0" }}>{caption}</caption>
+          <thead>
+            <tr style={{ background: "#eef2f6" }}>
+              {columns.map((c, i) => (
+                <th key={c.key} scope="col" style={{ padding: 6, textAlign: i === 0 ? "left" : "right" }}>
+                  {c.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, ri) => (
+              <tr
+                key={rowKey ? rowKey(r) : ri}
+                style={{ borderBottom: "1px solid #f0f0f0", background: notes[ri] ? "#fff4e5" : undefined }}
+              >
+                {columns.map((c, i) =>
+                  i === 0 ? (
+                    <th key={c.key} scope="row" style={{ padding: 6, textAlign: "left", fontWeight: 400 }}>
+                      {c.render ? c.render(r) : r[c.key]}
+                      {notes[ri] && (
+                        <span role="img" aria-label={notes[ri]} title={notes[ri]} style={{ marginLeft: 6, color: "#b35c00" }}>
+                          ⚠
+                        </span>
+                      )}
+                    </th>
+                  ) : (
+                    <td key={c.key} style={{ padding: 6, textAlign: "right", whiteSpace: "nowrap" }}>
+                      {c.render ? c.render(r) : r[c.key]}
+                    </td>
+                  )
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+}
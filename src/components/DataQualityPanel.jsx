@@ -0,0 +1,92 @@
+// src/components/DataQualityPanel.jsx
+// Lists the anomaly flags of the loaded records (src/utils/anomalies.js),
+// each with the reason it was raised. Clicking a row opens the district.
+import { useMemo, useState } from "react";
+import { useI18n } from "../i18n";
+import { SEVERITY_COLOURS, explainFlag } from "../utils/anomalies";
+import { periodLabel } from "../utils/period";
+import DistrictButton from "./DistrictButton";
+
+export function FlagList({ flags }) {
+  const { t, fmt } = useI18n();
+  return (
+    <ul style={{ margin: 0, paddingLeft: 0, listStyle: "none", lineHeight: 1.5 }}>
+      {flags.map((f, i) => (
+        <li key={`${f.key}-${f.rule}-${f.field}-${i}`} style={{ borderLeft: `4px solid ${SEVERITY_COLOURS[f.severity]}`, padding: "4px 8px", marginBottom: 6 }}>
+          <b>{periodLabel(f)}</b> · {t(`quality.rule.${f.rule}`)}
+          <div style={{ fontSize: 14, color: "#444" }}>{explainFlag(f, { t, fmt })}</div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function DataQualityPanel({ flags, districts, onSelect }) {
+  const { t, fmt } = useI18n();
+  const [rule, setRule] = useState("");
+
+  const counts = useMemo(
+    () => flags.reduce((acc, f) => ({ ...acc, [f.rule]: (acc[f.rule] || 0) + 1 }), {}),
+    [flags]
+  );
+  const shown = rule ? flags.filter((f) => f.rule === rule) : flags;
+  const districtCount = new Set(flags.map((f) => f.district_name)).size;
+
+  if (flags.length === 0) return <p style={{ color: "#006644", margin: 0 }}>✓ {t("quality.none")}</p>;
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginBottom: 10 }}>
+        <span style={{ color: "#555" }}>
+          {t("quality.summary", { count: fmt(flags.length), districts: fmt(districtCount) })}
+        </span>
+        <select
+          value={rule}
+          onChange={(e) => setRule(e.target.value)}
+          aria-label={t("quality.check")}
+          style={{ marginLeft: "auto", padding: 6, borderRadius: 6 }}
+        >
+          <option value="">{t("quality.allChecks")}</option>
+          {Object.entries(counts).map(([r, n]) => (
+            <option key={r} value={r}>
+              {t(`quality.rule.${r}`)} ({fmt(n)})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ maxHeight: 420, overflow: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <caption className="visually-hidden">{t("quality.title")}</caption>
+          <thead>
+            <tr style={{ background: "#eef2f6" }}>
+              <th scope="col" style={{ padding: 8, textAlign: "left", position: "sticky", top: 0, background: "#eef2f6" }}>{t("metric.district")}</th>
+              <th scope="col" style={{ padding: 8, textAlign: "left", position: "sticky", top: 0, background: "#eef2f6" }}>{t("quality.period")}</th>
+              <th scope="col" style={{ padding: 8, textAlign: "left", position: "sticky", top: 0, background: "#eef2f6" }}>{t("quality.check")}</th>
+              <th scope="col" style={{ padding: 8, textAlign: "left", position: "sticky", top: 0, background: "#eef2f6" }}>{t("quality.why")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((f, i) => {
+              const district = districts.find((d) => d.district_name === f.district_name);
+              return (
+                <tr
+                  key={`${f.key}-${f.rule}-${f.field}-${i}`}
+                  onClick={() => district && onSelect(district)}
+                  style={{ cursor: district ? "pointer" : "default", borderBottom: "1px solid #f0f0f0" }}
+                >
+                  <td style={{ padding: 8, whiteSpace: "nowrap", borderLeft: `4px solid ${SEVERITY_COLOURS[f.severity]}` }}>
+                    {district ? <DistrictButton district={district} onSelect={onSelect} /> : f.district_display}
+                  </td>
+                  <td style={{ padding: 8, whiteSpace: "nowrap" }}>{periodLabel(f)}</td>
+                  <td style={{ padding: 8 }}>{t(`quality.rule.${f.rule}`)}</td>
+                  <td style={{ padding: 8 }}>{explainFlag(f, { t, fmt })}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
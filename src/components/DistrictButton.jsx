@@ -0,0 +1,28 @@
+// src/components/DistrictButton.jsx
+// The district name in a clickable row. Rows still open on a mouse click
+// anywhere; this button is what keyboard and screen-reader users reach.
+export default function DistrictButton({ district, onSelect, children }) {
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        onSelect(district);
+      }}
+      style={{
+        padding: 0,
+        background: "none",
+        border: "none",
+        font: "inherit",
+        color: "#073b6b",
+        textAlign: "inherit",
+        textDecoration: "underline",
+        textDecorationColor: "#c9d6e3",
+        textUnderlineOffset: 3,
+        cursor: "pointer",
+      }}
+    >
+      {children ?? district.district_display}
+    </button>
+  );
+}
@@ -0,0 +1,236 @@
+// src/components/DistrictCompare.jsx
+// Side-by-side view of 2–5 districts picked from the loaded records.
+// The picked districts live in ?compare=A,B so a comparison can be shared.
+import { useMemo, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  CartesianGrid,
+  Cell,
+} from "recharts";
+import { useI18n } from "../i18n";
+import { DISTRICT_COLUMNS, formatCell } from "../config/columns";
+import { stateAverage } from "../utils/aggregate";
+import { periodLabel, sortByPeriod } from "../utils/period";
+import ChartTable from "./ChartTable";
+import useViewParams from "../hooks/useViewParams";
+
+const MAX_DISTRICTS = 5;
+const COLOURS = ["#073b6b", "#cc6600", "#006644", "#990000", "#4b2e83"];
+const METRIC_COLUMNS = DISTRICT_COLUMNS.filter((c) => c.format !== "text");
+
+const pctDiff = (value, base) => (base ? ((value - base) / base) * 100 : null);
+
+export default function DistrictCompare({ districts }) {
+  const { t, fmt } = useI18n();
+  const [searchParams, updateView] = useViewParams();
+  const [trendKey, setTrendKey] = useState("Total_Households_Worked");
+
+  // a hand-edited link may name more districts than there are colours
+  const compareParam = searchParams.get("compare") || "";
+  const selected = useMemo(
+    () =>
+      compareParam
+        .split(",")
+        .filter(Boolean)
+        .slice(0, MAX_DISTRICTS)
+        .map((name) => districts.find((d) => d.district_name === name))
+        .filter(Boolean),
+    [districts, compareParam]
+  );
+  // names that match no loaded district (another year, a stale link) are
+  // dropped on the next change instead of taking a slot
+  const picked = selected.map((d) => d.district_name);
+  const available = districts.filter((d) => !picked.includes(d.district_name));
+
+  const setPicked = (names) => updateView({ compare: names.join(",") }, { replace: true });
+
+  // `districts` is whatever the filters loaded, not necessarily the whole
+  // state, so the benchmark is labelled as the average of those shown
+  const benchmark = useMemo(() => stateAverage(districts), [districts]);
+
+  // one point per period, one key per district
+  const trend = useMemo(() => {
+    const points = new Map();
+    for (const d of selected) {
+      for (const r of d.rows || []) {
+        const label = periodLabel(r);
+        const point = points.get(label) || { period: label, fin_year: r.fin_year, month: r.month };
+        point[d.district_name] = r[trendKey];
+        points.set(label, point);
+      }
+    }
+    return sortByPeriod([...points.values()]);
+  }, [selected, trendKey]);
+
+  const pct = (v) => (v === null ? "—" : `${v > 0 ? "+" : ""}${fmt(v, { maximumFractionDigits: 1 })}%`);
+  const base = selected[0];
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        {selected.map((d, i) => (
+          <span
+            key={d.district_name}
+            style={{
+              display: "inline-flex",
+              alignItems: "center",
+              gap: 6,
+              padding: "4px 10px",
+              borderRadius: 16,
+              background: "#eef2f6",
+            }}
+          >
+            <span className="swatch" style={{ width: 10, height: 10, borderRadius: "50%", background: COLOURS[i] }} />
+            {d.district_display}
+            <button
+              onClick={() => setPicked(picked.filter((n) => n !== d.district_name))}
+              aria-label={t("compare.remove", { district: d.district_display })}
+              style={{ border: "none", background: "none", cursor: "pointer", fontSize: 16, lineHeight: 1 }}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {selected.length < MAX_DISTRICTS && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && setPicked([...picked, e.target.value])}
+            aria-label={t("compare.add")}
+            style={{ padding: 8, borderRadius: 8 }}
+          >
+            <option value="">{t("compare.add")}</option>
+            {available.map((d) => (
+              <option key={d.district_name} value={d.district_name}>
+                {d.district_display}
+              </option>
+            ))}
+          </select>
+        )}
+        {selected.length > 0 && (
+          <button onClick={() => setPicked([])} style={{ padding: "6px 12px", borderRadius: 6, border: "1px solid #c9d6e3", background: "white", cursor: "pointer" }}>
+            {t("compare.clear")}
+          </button>
+        )}
+      </div>
+
+      {selected.length < 2 ? (
+        <p style={{ color: "#666" }}>{t("compare.hint")}</p>
+      ) : (
+        <>
+          <h3 style={{ fontSize: "1em", color: "#073b6b", margin: "16px 0 8px 0" }}>{t("compare.byMetric")}</h3>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))", gap: 12 }}>
+            {METRIC_COLUMNS.map((c) => (
+              <div key={c.key} style={{ background: "#f7f9fb", borderRadius: 8, padding: 8 }}>
+                <div style={{ fontWeight: 600, fontSize: 13, marginBottom: 4 }}>{t(c.label)}</div>
+                <ResponsiveContainer width="100%" height={160}>
+                  <BarChart data={selected} margin={{ top: 4, right: 8, bottom: 4, left: 0 }}>
+                    <XAxis dataKey="district_display" tick={{ fontSize: 10 }} interval={0} />
+                    <YAxis tick={{ fontSize: 10 }} width={56} />
+                    <Tooltip formatter={(v) => formatCell(c, v, { t, fmt })} />
+                    <Bar dataKey={c.key} name={t(c.label)}>
+                      {selected.map((d, i) => (
+                        <Cell key={d.district_name} fill={COLOURS[i]} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: "flex", alignItems: "center", gap: 8, margin: "18px 0 8px 0", flexWrap: "wrap" }}>
+            <h3 style={{ fontSize: "1em", color: "#073b6b", margin: 0 }}>{t("compare.trend")}</h3>
+            <label style={{ marginLeft: "auto", fontSize: 14 }}>
+              {t("compare.metric")}{" "}
+              <select value={trendKey} onChange={(e) => setTrendKey(e.target.value)} style={{ padding: 6, borderRadius: 6 }}>
+                {METRIC_COLUMNS.map((c) => (
+                  <option key={c.key} value={c.key}>
+                    {t(c.label)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <ResponsiveContainer width="100%" height={280}>
+            <LineChart data={trend} margin={{ top: 4, right: 12, bottom: 4, left: 0 }}>
+              <CartesianGrid stroke="#e5e9ef" strokeDasharray="3 3" />
+              <XAxis dataKey="period" tick={{ fontSize: 10 }} minTickGap={12} />
+              <YAxis tick={{ fontSize: 10 }} width={64} />
+              <Tooltip formatter={(v) => fmt(v)} />
+              <Legend />
+              {selected.map((d, i) => (
+                <Line
+                  key={d.district_name}
+                  type="monotone"
+                  dataKey={d.district_name}
+                  name={d.district_display}
+                  stroke={COLOURS[i]}
+                  strokeWidth={2}
+                  dot={trend.length < 30}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          <ChartTable
+            caption={`${t("compare.trend")} — ${t(METRIC_COLUMNS.find((c) => c.key === trendKey).label)}`}
+            columns={[
+              { key: "period", label: t("quality.period") },
+              ...selected.map((d) => ({ key: d.district_name, label: d.district_display, render: (p) => (p[d.district_name] == null ? "—" : fmt(p[d.district_name])) })),
+            ]}
+            rows={trend}
+            rowKey={(p) => p.period}
+          />
+
+          <h3 style={{ fontSize: "1em", color: "#073b6b", margin: "18px 0 8px 0" }}>{t("compare.differences")}</h3>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+              <thead>
+                <tr style={{ background: "#eef2f6" }}>
+                  <th scope="col" style={{ padding: 8, textAlign: "left" }}>{t("compare.metric")}</th>
+                  {selected.map((d, i) => (
+                    <th scope="col" key={d.district_name} style={{ padding: 8, textAlign: "right", color: COLOURS[i] }}>
+                      {d.district_display}
+                    </th>
+                  ))}
+                  <th scope="col" style={{ padding: 8, textAlign: "right" }}>{t("compare.shownAvg", { n: fmt(districts.length) })}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {METRIC_COLUMNS.map((c) => (
+                  <tr key={c.key} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                    <td style={{ padding: 8 }}>{t(c.label)}</td>
+                    {selected.map((d) => (
+                      <td key={d.district_name} style={{ padding: 8, textAlign: "right", whiteSpace: "nowrap" }}>
+                        <div style={{ fontWeight: 600 }}>{formatCell(c, d[c.key], { t, fmt })}</div>
+                        <div style={{ fontSize: 12, color: "#555" }}>
+                          {t("compare.vsShownAvg", { pct: pct(pctDiff(d[c.key], benchmark[c.key])) })}
+                        </div>
+                        {d !== base && (
+                          <div style={{ fontSize: 12, color: "#555" }}>
+                            {t("compare.vsBase", { pct: pct(pctDiff(d[c.key], base[c.key])), district: base.district_display })}
+                          </div>
+                        )}
+                      </td>
+                    ))}
+                    <td style={{ padding: 8, textAlign: "right", whiteSpace: "nowrap", color: "#555" }}>
+                      {formatCell(c, benchmark[c.key], { t, fmt })}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
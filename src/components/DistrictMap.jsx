@@ -0,0 +1,139 @@
+// src/components/DistrictMap.jsx
+import { useEffect, useMemo, useState } from "react";
+import { MapContainer, GeoJSON, CircleMarker, Tooltip, useMap } from "react-leaflet";
+import L from "leaflet";
+import "leaflet/dist/leaflet.css";
+import { districtKey } from "../utils/district";
+import { hasBoundaries } from "../config/states";
+import { useI18n } from "../i18n";
+import { PALETTE, NO_DATA, colourFor } from "../utils/colours";
+
+const MAP_METRICS = [
+  { key: "expenditure", label: "metric.totalExp", unit: "unit.rupeeLakhs", value: (d) => d.Total_Exp },
+  { key: "households", label: "metric.households", unit: "unit.households", value: (d) => d.Total_Households_Worked },
+  { key: "days", label: "metric.avgDays", unit: "unit.daysPerHousehold", value: (d) => d.Average_days_of_employment_provided_per_Household },
+  {
+    key: "wagesPerHousehold",
+    label: "metric.wagesPerHousehold",
+    unit: "unit.rupeesPerHousehold",
+    value: (d) => (d.Total_Households_Worked ? Math.round((d.Wages * 100000) / d.Total_Households_Worked) : 0),
+  },
+];
+
+function FitToFeatures({ features }) {
+  const map = useMap();
+  useEffect(() => {
+    if (!features.length) return;
+    const bounds = L.geoJSON({ type: "FeatureCollection", features }).getBounds();
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [10, 10] });
+  }, [map, features]);
+  return null;
+}
+
+// States without bundled boundaries get a notice in the map's place, not an
+// empty map with a metric picker and legend that have nothing to act on.
+function MapUnavailable({ stateConfig }) {
+  const { t } = useI18n();
+  return (
+    <div style={{ background: "white", padding: 14, borderRadius: 12 }}>
+      <h2 style={{ fontSize: "1.17em", color: "#003366", margin: 0 }}>{t("map.title")}</h2>
+      <p role="note" style={{ marginTop: 10, padding: 16, background: "#eef2f7", borderRadius: 8, color: "#444", textAlign: "center" }}>
+        {t("map.noBoundaries", { state: t(`state.${stateConfig.code}`) })} {t("map.useTable")}
+      </p>
+    </div>
+  );
+}
+
+export default function DistrictMap({ data, stateConfig, onSelect }) {
+  if (!hasBoundaries(stateConfig)) return <MapUnavailable stateConfig={stateConfig} />;
+  return <ChoroplethMap data={data} stateConfig={stateConfig} onSelect={onSelect} />;
+}
+
+// The bundled regions are nearest-headquarters cells, not district shapes
+// (see the note in src/data/tamilnadu_districts.geo.json), so they are drawn
+// only as the state's outline and each district is a dot at its headquarters.
+const OUTLINE = { color: "#dfe7ef", weight: 1, fillColor: "#dfe7ef", fillOpacity: 1 };
+
+function ChoroplethMap({ data, stateConfig, onSelect }) {
+  const { t, fmt } = useI18n();
+  const [metricKey, setMetricKey] = useState(MAP_METRICS[0].key);
+  const metric = MAP_METRICS.find((m) => m.key === metricKey);
+
+  const byKey = useMemo(() => {
+    const m = new Map();
+    data.forEach((d) => m.set(districtKey(d.district_name), d));
+    return m;
+  }, [data]);
+
+  const values = data.map(metric.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  const boundaries = stateConfig.boundaries;
+  const shownFeatures = useMemo(
+    () => boundaries.features.filter((f) => byKey.has(districtKey(f.properties.district))),
+    [boundaries, byKey]
+  );
+
+  return (
+    <div style={{ background: "white", padding: 14, borderRadius: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <h2 style={{ fontSize: "1.17em", color: "#003366", margin: 0 }}>{t("map.title")}</h2>
+        <p className="visually-hidden">{t("map.a11yNote")}</p>
+        <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} aria-label={t("map.metric")} style={{ padding: 8, borderRadius: 8 }}>
+          {MAP_METRICS.map((m) => (
+            <option key={m.key} value={m.key}>
+              {t(m.label)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <MapContainer
+        key={stateConfig.code}
+        center={stateConfig.center}
+        zoom={6}
+        scrollWheelZoom={false}
+        attributionControl={false}
+        style={{ height: 380, marginTop: 10, background: "#eef2f7", borderRadius: 8 }}
+      >
+        <GeoJSON data={boundaries} style={OUTLINE} interactive={false} />
+        {boundaries.features.map((f) => {
+          const row = byKey.get(districtKey(f.properties.district));
+          return (
+            <CircleMarker
+              key={f.properties.district}
+              center={f.properties.hq}
+              radius={9}
+              pathOptions={{
+                fillColor: colourFor(row ? metric.value(row) : undefined, min, max),
+                fillOpacity: 0.9,
+                color: "#4a5568",
+                weight: 1,
+              }}
+              eventHandlers={{ click: () => row && onSelect(row) }}
+            >
+              <Tooltip>{`${f.properties.name}${row ? "" : ` — ${t("map.noDataSuffix")}`}`}</Tooltip>
+            </CircleMarker>
+          );
+        })}
+        <FitToFeatures features={shownFeatures} />
+      </MapContainer>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 8, fontSize: 12, color: "#444", flexWrap: "wrap" }}>
+        <span>{Number.isFinite(min) ? fmt(min) : "—"}</span>
+        {PALETTE.map((c) => (
+          <span key={c} className="swatch" style={{ width: 24, height: 12, background: c, display: "inline-block" }} />
+        ))}
+        <span>{Number.isFinite(max) ? fmt(max) : "—"}</span>
+        <span style={{ marginLeft: 6 }}>({t(metric.unit)})</span>
+        <span style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 4 }}>
+          <span className="swatch" style={{ width: 12, height: 12, background: NO_DATA, display: "inline-block" }} /> {t("map.noData")}
+        </span>
+      </div>
+      <div style={{ fontSize: 11, color: "#777", marginTop: 4 }}>
+        {t("map.markers")}
+      </div>
+    </div>
+  );
+}
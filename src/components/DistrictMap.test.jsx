@@ -0,0 +1,40 @@
+// src/components/DistrictMap.test.jsx
+import { beforeEach, describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import I18nProvider from "../i18n/I18nProvider";
+import DistrictMap from "./DistrictMap";
+import { findState } from "../config/states";
+
+beforeEach(() => {
+  localStorage.setItem("mgnrega.locale", "en");
+});
+
+describe("DistrictMap", () => {
+  it("says the map is not available for a state without boundaries", () => {
+    render(
+      <I18nProvider>
+        <DistrictMap data={[]} stateConfig={findState("ka")} onSelect={() => {}} />
+      </I18nProvider>
+    );
+    expect(screen.getByRole("note")).toHaveTextContent("District boundaries for Karnataka are not bundled yet.");
+    expect(screen.queryByRole("combobox")).not.toBeInTheDocument();
+  });
+
+  it("marks district headquarters instead of drawing approximate shapes as districts", () => {
+    const { container } = render(
+      <I18nProvider>
+        <DistrictMap
+          data={[{ district_name: "MADURAI", Total_Exp: 100 }, { district_name: "SALEM", Total_Exp: 200 }]}
+          stateConfig={findState("tn")}
+          onSelect={() => {}}
+        />
+      </I18nProvider>
+    );
+    expect(screen.getByText("Each dot marks a district headquarters. District boundaries are not shown.")).toBeInTheDocument();
+    expect(screen.queryByText(/boundaries are approximate/)).not.toBeInTheDocument();
+    // each region is an unbordered outline piece plus a clickable headquarters dot
+    const regions = findState("tn").boundaries.features.length;
+    expect(container.querySelectorAll("path")).toHaveLength(regions * 2);
+    expect(container.querySelectorAll("path.leaflet-interactive")).toHaveLength(regions);
+  });
+});
@@ -0,0 +1,79 @@
+// src/components/DistrictModal.jsx
+import { useId, useRef } from "react";
+import { Link } from "react-router-dom";
+import DistrictTrend from "./DistrictTrend";
+import { FlagList } from "./DataQualityPanel";
+import ErrorBoundary from "./ErrorBoundary";
+import { monthIndex } from "../utils/period";
+import { findState } from "../config/states";
+import { useI18n } from "../i18n";
+import useFocusTrap from "../hooks/useFocusTrap";
+
+export default function DistrictModal({ district, flags = [], onClose }) {
+  const { t, fmt } = useI18n();
+  const dialogRef = useRef(null);
+  const titleId = useId();
+  useFocusTrap(dialogRef, onClose);
+  const state = findState(district.state_name);
+
+  return (
+    <div
+      role="presentation"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        width: "100%",
+        height: "100%",
+        background: "rgba(0,0,0,0.4)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 9999,
+      }}
+    >
+      <div ref={dialogRef} role="dialog" aria-modal="true" aria-labelledby={titleId} tabIndex={-1} style={{ width: 900, maxWidth: "94%", maxHeight: "90vh", overflowY: "auto", background: "white", borderRadius: 12, padding: 18 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h2 id={titleId} style={{ margin: 0, color: "#073b6b" }}>{district.district_display}</h2>
+          <button onClick={onClose} style={{ background: "#eee", border: "none", padding: 8, borderRadius: 8, cursor: "pointer" }}>{t("modal.close")}</button>
+        </div>
+
+        <div style={{ display: "flex", gap: 12, marginTop: 12 }}>
+          <div style={{ flex: 1 }}>
+            <p><b>{t("modal.state")}</b> {district.state_name}</p>
+            <p><b>{t("modal.finYears")}</b> {[...(district.fin_years || [])].sort().join(", ")}</p>
+            <p><b>{t("modal.months")}</b> {[...(district.months || [])].sort((a, b) => monthIndex(a) - monthIndex(b)).join(", ")}</p>
+            <p><b>{t("metric.households")}:</b> {fmt(district.Total_Households_Worked)}</p>
+            <p><b>{t("metric.persondays")}:</b> {fmt(district.Persondays)}</p>
+            <p><b>{t("metric.totalExp")}:</b> {fmt(district.Total_Exp)}</p>
+            <p><b>{t("metric.avgWageRate")}:</b> {fmt(district.Average_Wage_rate_per_day_per_person)}</p>
+            <p><b>{t("metric.avgDays")}:</b> {fmt(district.Average_days_of_employment_provided_per_Household)}</p>
+            {state && (
+              <Link
+                to={`/entitlement?state=${state.code}&district=${encodeURIComponent(district.district_display)}`}
+                style={{ color: "#006644", fontWeight: 600 }}
+              >
+                🪪 {t("entitle.title")}
+              </Link>
+            )}
+          </div>
+        </div>
+
+        <h3 style={{ fontSize: "1em", margin: "8px 0", color: "#073b6b" }}>{t("modal.trend")}</h3>
+        <ErrorBoundary name="district trend" resetKey={district}>
+          <DistrictTrend rows={district.rows} flags={flags} />
+        </ErrorBoundary>
+
+        {flags.length > 0 && (
+          <>
+            <h3 style={{ fontSize: "1em", margin: "12px 0 8px 0", color: "#073b6b" }}>
+              {t("modal.quality")} ({fmt(flags.length)})
+            </h3>
+            <FlagList flags={flags} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+// src/components/DistrictModal.test.jsx
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter } from "react-router-dom";
+import I18nProvider from "../i18n/I18nProvider";
+import DistrictModal from "./DistrictModal";
+import { fromBackendRow } from "../api/records";
+import { summarise } from "../utils/aggregate";
+import { detectAnomalies } from "../utils/anomalies";
+import { axe } from "../test/axe";
+import year2023 from "../test/fixtures/backend-tamilnadu-2023-2024.json";
+
+const { districts } = summarise(year2023.data.map((r) => fromBackendRow(r)));
+const madurai = districts.find((d) => d.district_name === "MADURAI");
+
+const renderModal = (onClose = () => {}, flags) =>
+  render(
+    <I18nProvider>
+      <MemoryRouter>
+        <button>outside</button>
+        <DistrictModal district={madurai} flags={flags} onClose={onClose} />
+      </MemoryRouter>
+    </I18nProvider>
+  );
+
+// the trap skips anything without an offsetParent, which jsdom never sets
+const offsetParent = Object.getOwnPropertyDescriptor(HTMLElement.prototype, "offsetParent");
+beforeEach(() => {
+  localStorage.setItem("mgnrega.locale", "en");
+  Object.defineProperty(HTMLElement.prototype, "offsetParent", {
+    configurable: true,
+    get() {
+      return this.parentNode;
+    },
+  });
+});
+afterEach(() => {
+  Object.defineProperty(HTMLElement.prototype, "offsetParent", offsetParent);
+});
+
+describe("DistrictModal", () => {
+  it("has no axe violations", async () => {
+    const { container } = renderModal();
+    await screen.findByRole("dialog");
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("keeps Tab inside the dialog and closes on Escape", async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    renderModal(onClose);
+    const dialog = await screen.findByRole("dialog");
+    const close = within(dialog).getByRole("button", { name: "Close" });
+    expect(close).toHaveFocus();
+
+    await user.tab({ shift: true });
+    const last = document.activeElement;
+    expect(dialog).toContainElement(last);
+    expect(last).not.toBe(close);
+
+    await user.tab();
+    expect(close).toHaveFocus();
+    expect(screen.getByRole("button", { name: "outside" })).not.toHaveFocus();
+
+    await user.keyboard("{Escape}");
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it("marks the flagged months in the monthly table", async () => {
+    const [may] = detectAnomalies([{ ...madurai.rows[1], Wages: 9999 }]);
+    renderModal(undefined, [may]);
+    const table = await screen.findByRole("table", { name: "Month-by-month trend" });
+    const flagged = within(table).getByRole("rowheader", { name: /May 23-24/ });
+    expect(within(flagged).getByRole("img", { name: "Flagged: Wages > expenditure" })).toBeInTheDocument();
+    expect(within(table).getByRole("rowheader", { name: "Apr 23-24" })).toBeInTheDocument();
+    expect(await axe(table)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,251 @@
+// src/components/DistrictTable.jsx
+import { useMemo, useState } from "react";
+import { useI18n } from "../i18n";
+import { DISTRICT_COLUMNS, findColumn, formatCell } from "../config/columns";
+import { SEVERITY_COLOURS, explainFlag } from "../utils/anomalies";
+import { readTableView, tableRows } from "../utils/table";
+import useViewParams from "../hooks/useViewParams";
+import DistrictButton from "./DistrictButton";
+
+const PAGE_SIZES = [25, 50, 100];
+const HIDDEN_KEY = "mgnrega.tableColumns";
+
+const loadHidden = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HIDDEN_KEY));
+    if (Array.isArray(stored)) return stored;
+  } catch {
+    // fall through to the defaults
+  }
+  return DISTRICT_COLUMNS.filter((c) => c.hidden).map((c) => c.key);
+};
+
+const saveHidden = (keys) => {
+  try {
+    localStorage.setItem(HIDDEN_KEY, JSON.stringify(keys));
+  } catch {
+    // choice just won't survive a reload
+  }
+};
+
+function FlagBadge({ flags }) {
+  const { t, fmt } = useI18n();
+  if (!flags?.length) return null;
+  const worst = flags.some((f) => f.severity === "error") ? "error" : "warning";
+  const label = t("quality.flagCount", { count: fmt(flags.length) });
+  const title = [label, ...flags.slice(0, 5).map((f) => `• ${explainFlag(f, { t, fmt })}`)].join("\n");
+  return (
+    <span
+      role="img"
+      aria-label={label}
+      title={title}
+      style={{ marginLeft: 8, color: SEVERITY_COLOURS[worst], fontSize: 13, fontWeight: 700 }}
+    >
+      ⚠ {fmt(flags.length)}
+    </span>
+  );
+}
+
+// ?sort=<column>&dir=asc|desc&q=<text> keep the view shareable
+export default function DistrictTable({ rows, onSelect, flagsByDistrict }) {
+  const { t, fmt } = useI18n();
+  const [searchParams, updateView] = useViewParams();
+  const [hidden, setHidden] = useState(loadHidden);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [page, setPage] = useState(1);
+  const [chooserOpen, setChooserOpen] = useState(false);
+
+  const { sortKey, sortDir, query } = readTableView(searchParams);
+
+  const updateParams = (patch) => {
+    updateView(patch, { replace: true });
+    setPage(1);
+  };
+
+  const toggleSort = (key) => {
+    if (key === sortKey) updateParams({ sort: key, dir: sortDir === "asc" ? "desc" : "asc" });
+    else updateParams({ sort: key, dir: findColumn(key).format === "text" ? "asc" : "desc" });
+  };
+
+  const toggleColumn = (key) => {
+    const next = hidden.includes(key) ? hidden.filter((k) => k !== key) : [...hidden, key];
+    setHidden(next);
+    saveHidden(next);
+  };
+
+  const columns = DISTRICT_COLUMNS.filter((c) => c.format === "text" || !hidden.includes(c.key));
+
+  const visibleRows = useMemo(() => tableRows(rows, { query, sortKey, sortDir }), [rows, query, sortKey, sortDir]);
+
+  const pages = Math.max(1, Math.ceil(visibleRows.length / pageSize));
+  const current = Math.min(page, pages);
+  const pageRows = visibleRows.slice((current - 1) * pageSize, current * pageSize);
+
+  const buttonStyle = {
+    padding: "6px 12px",
+    borderRadius: 6,
+    border: "1px solid #c9d6e3",
+    background: "white",
+    cursor: "pointer",
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginBottom: 10 }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => updateParams({ q: e.target.value })}
+          placeholder={t("table.filter")}
+          aria-label={t("table.filter")}
+          style={{ padding: "8px 10px", borderRadius: 6, border: "1px solid #c9d6e3", minWidth: 220 }}
+        />
+        <div style={{ position: "relative" }}>
+          <button onClick={() => setChooserOpen((o) => !o)} aria-expanded={chooserOpen} style={buttonStyle}>
+            {t("table.columns")} ▾
+          </button>
+          {chooserOpen && (
+            <div
+              style={{
+                position: "absolute",
+                zIndex: 5,
+                top: "110%",
+                left: 0,
+                background: "white",
+                border: "1px solid #c9d6e3",
+                borderRadius: 8,
+                padding: 10,
+                boxShadow: "0 6px 18px rgba(0,0,0,0.12)",
+                minWidth: 260,
+              }}
+            >
+              {DISTRICT_COLUMNS.filter((c) => c.format !== "text").map((c) => (
+                <label key={c.key} style={{ display: "flex", gap: 8, padding: "4px 0", cursor: "pointer" }}>
+                  <input type="checkbox" checked={!hidden.includes(c.key)} onChange={() => toggleColumn(c.key)} />
+                  {t(c.label)}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        <span style={{ marginLeft: "auto", color: "#555", fontSize: 14 }}>
+          {t("table.showing", { shown: fmt(visibleRows.length), total: fmt(rows.length) })}
+        </span>
+      </div>
+
+      <div style={{ maxHeight: 560, overflow: "auto", border: "1px solid #eef2f6", borderRadius: 8 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <caption className="visually-hidden">{t("table.caption")}</caption>
+          <thead>
+            <tr style={{ background: "#082c4a", color: "white" }}>
+              {columns.map((c) => {
+                const active = c.key === sortKey;
+                return (
+                  <th
+                    key={c.key}
+                    scope="col"
+                    aria-sort={active ? (sortDir === "asc" ? "ascending" : "descending") : "none"}
+                    style={{
+                      position: "sticky",
+                      top: 0,
+                      background: "#082c4a",
+                      padding: 0,
+                      textAlign: c.format === "text" ? "left" : "right",
+                    }}
+                  >
+                    <button
+                      onClick={() => toggleSort(c.key)}
+                      title={t("table.sortBy", { column: t(c.label) })}
+                      style={{
+                        width: "100%",
+                        padding: "12px 10px",
+                        background: "none",
+                        border: "none",
+                        color: "inherit",
+                        font: "inherit",
+                        fontWeight: 600,
+                        textAlign: "inherit",
+                        cursor: "pointer",
+                      }}
+                    >
+                      {t(c.label)} {active ? (sortDir === "asc" ? "▲" : "▼") : ""}
+                    </button>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.length === 0 ? (
+              <tr>
+                <td colSpan={columns.length} style={{ padding: 16, textAlign: "center", color: "#666" }}>
+                  {t("table.noMatch")}
+                </td>
+              </tr>
+            ) : (
+              pageRows.map((row, idx) => (
+                <tr
+                  key={`${row.state_name}-${row.district_name}`}
+                  onClick={() => onSelect(row)}
+                  style={{
+                    cursor: "pointer",
+                    borderBottom: "1px solid #f0f0f0",
+                    background: idx % 2 === 0 ? "#fff" : "#fbfdff",
+                  }}
+                >
+                  {columns.map((c) => (
+                    <td
+                      key={c.key}
+                      style={{
+                        padding: "10px",
+                        textAlign: c.format === "text" ? "left" : "right",
+                        whiteSpace: "nowrap",
+                        fontVariantNumeric: "tabular-nums",
+                      }}
+                    >
+                      {c.key === "district_display" ? (
+                        <>
+                          <DistrictButton district={row} onSelect={onSelect} />
+                          <FlagBadge flags={flagsByDistrict?.get(row.district_name)} />
+                        </>
+                      ) : (
+                        formatCell(c, row[c.key], { t, fmt })
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: "flex", gap: 10, alignItems: "center", justifyContent: "flex-end", marginTop: 10, flexWrap: "wrap" }}>
+        <label style={{ fontSize: 14, color: "#555" }}>
+          {t("table.rowsPerPage")}{" "}
+          <select
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              setPage(1);
+            }}
+            style={{ padding: "4px 6px", borderRadius: 6 }}
+          >
+            {PAGE_SIZES.map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={() => setPage(current - 1)} disabled={current <= 1} style={buttonStyle}>
+          {t("table.prev")}
+        </button>
+        <span style={{ fontSize: 14 }}>{t("table.page", { page: fmt(current), pages: fmt(pages) })}</span>
+        <button onClick={() => setPage(current + 1)} disabled={current >= pages} style={buttonStyle}>
+          {t("table.next")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+// src/components/DistrictTable.test.jsx
+import { beforeEach, describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import I18nProvider from "../i18n/I18nProvider";
+import DistrictTable from "./DistrictTable";
+import { fromBackendRow } from "../api/records";
+import { summarise } from "../utils/aggregate";
+import { detectAnomalies, groupFlags } from "../utils/anomalies";
+import { axe } from "../test/axe";
+import year2023 from "../test/fixtures/backend-tamilnadu-2023-2024.json";
+
+const rows = year2023.data.map((r) => fromBackendRow(r));
+const { districts } = summarise(rows);
+const flagsByDistrict = groupFlags(detectAnomalies(rows), (f) => f.district_name);
+
+const renderTable = (entry = "/") =>
+  render(
+    <I18nProvider>
+      <MemoryRouter initialEntries={[entry]}>
+        <DistrictTable rows={districts} onSelect={() => {}} flagsByDistrict={flagsByDistrict} />
+      </MemoryRouter>
+    </I18nProvider>
+  );
+
+beforeEach(() => {
+  localStorage.setItem("mgnrega.locale", "en");
+});
+
+describe("DistrictTable", () => {
+  it("has no axe violations", async () => {
+    const { container } = renderTable();
+    await screen.findByRole("table");
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("has no axe violations when sorted and filtered", async () => {
+    const { container } = renderTable("/?sort=Total_Exp&dir=asc&q=sa");
+    await screen.findByRole("table");
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,58 @@
+// src/components/DistrictTrend.jsx
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { sortByPeriod, periodLabel } from "../utils/period";
+import { useI18n } from "../i18n";
+import ChartTable from "./ChartTable";
+
+const TREND_METRICS = [
+  { key: "Total_Households_Worked", label: "metric.households", color: "#073b6b" },
+  { key: "Total_Exp", label: "metric.totalExp", color: "#cc6600" },
+  { key: "Wages", label: "metric.wages", color: "#006644" },
+  { key: "Average_days_of_employment_provided_per_Household", label: "metric.avgDays", color: "#990000" },
+];
+
+export default function DistrictTrend({ rows, flags = [] }) {
+  const { t, fmt } = useI18n();
+  const series = sortByPeriod(rows || []).map((r) => ({ ...r, period: periodLabel(r) }));
+  // period → the checks that flagged it, for the table below the charts
+  const flagged = new Map();
+  for (const f of flags) {
+    const period = periodLabel(f);
+    flagged.set(period, [...(flagged.get(period) || []), t(`quality.rule.${f.rule}`)]);
+  }
+
+  if (series.length === 0) {
+    return <div style={{ color: "#666", padding: 12 }}>{t("modal.noMonthly")}</div>;
+  }
+
+  return (
+    <>
+    <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(300px, 1fr))", gap: 12 }}>
+      {TREND_METRICS.map((m) => (
+        <div key={m.key} style={{ background: "#f7f9fb", borderRadius: 8, padding: 8 }}>
+          <div style={{ fontWeight: 600, color: m.color, fontSize: 14, marginBottom: 4 }}>{t(m.label)}</div>
+          <ResponsiveContainer width="100%" height={180}>
+            <LineChart data={series} margin={{ top: 4, right: 8, bottom: 4, left: 0 }}>
+              <CartesianGrid stroke="#e5e9ef" strokeDasharray="3 3" />
+              <XAxis dataKey="period" tick={{ fontSize: 10 }} minTickGap={12} />
+              <YAxis tick={{ fontSize: 10 }} width={56} />
+              <Tooltip formatter={(v) => fmt(v)} />
+              <Line type="monotone" dataKey={m.key} name={t(m.label)} stroke={m.color} dot={series.length < 30} strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      ))}
+    </div>
+    <ChartTable
+      caption={t("modal.trend")}
+      columns={[
+        { key: "period", label: t("quality.period") },
+        ...TREND_METRICS.map((m) => ({ key: m.key, label: t(m.label), render: (r) => fmt(r[m.key]) })),
+      ]}
+      rows={series}
+      rowKey={(r) => r.period}
+      highlight={(r) => flagged.has(r.period) && t("quality.flaggedFor", { checks: [...new Set(flagged.get(r.period))].join(", ") })}
+    />
+    </>
+  );
+}
@@ -0,0 +1,31 @@
+// src/components/ErrorBoundary.jsx
+// Keeps one broken panel from blanking the whole page. A change of
+// `resetKey` (new data, say) or the retry button draws the panel again.
+import { Component } from "react";
+import { AppError } from "../utils/errors";
+import ErrorState from "./ErrorState";
+
+export default class ErrorBoundary extends Component {
+  state = { error: null, componentStack: null };
+
+  static getDerivedStateFromError(cause) {
+    return { error: new AppError("render", cause?.message || String(cause), { cause }) };
+  }
+
+  componentDidCatch(cause, info) {
+    console.error(`${this.props.name} failed to render:`, cause);
+    this.setState({ componentStack: info.componentStack });
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) this.reset();
+  }
+
+  reset = () => this.setState({ error: null, componentStack: null });
+
+  render() {
+    if (!this.state.error) return this.props.children;
+    const { error, componentStack } = this.state;
+    return <ErrorState error={error} view={this.props.name} componentStack={componentStack} onRetry={this.reset} compact />;
+  }
+}
@@ -0,0 +1,57 @@
+// src/components/ErrorBoundary.test.jsx
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import I18nProvider from "../i18n/I18nProvider";
+import ErrorBoundary from "./ErrorBoundary";
+
+let broken;
+function Panel() {
+  if (broken) throw new Error("bad row");
+  return <p>panel content</p>;
+}
+
+const renderPanels = () =>
+  render(
+    <I18nProvider>
+      <ErrorBoundary name="chart">
+        <Panel />
+      </ErrorBoundary>
+      <p>other panel</p>
+    </I18nProvider>
+  );
+
+beforeEach(() => {
+  localStorage.setItem("mgnrega.locale", "en");
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  broken = true;
+});
+
+describe("ErrorBoundary", () => {
+  it("replaces only the failed panel", () => {
+    renderPanels();
+    expect(screen.getByRole("alert")).toHaveTextContent("This section couldn't be shown");
+    expect(screen.getByText("other panel")).toBeInTheDocument();
+  });
+
+  it("keeps the technical details folded away", async () => {
+    const user = userEvent.setup();
+    renderPanels();
+    const details = screen.getByText(/view: chart/);
+    expect(details).not.toBeVisible();
+
+    await user.click(screen.getByText("Technical details"));
+    expect(details).toBeVisible();
+    expect(details).toHaveTextContent("kind: render");
+    expect(details).toHaveTextContent("message: bad row");
+  });
+
+  it("draws the panel again on retry", async () => {
+    const user = userEvent.setup();
+    renderPanels();
+    broken = false;
+    await user.click(screen.getByRole("button", { name: "Try again" }));
+    expect(screen.getByText("panel content")).toBeInTheDocument();
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  });
+});
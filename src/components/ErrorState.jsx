@@ -0,0 +1,73 @@
+// src/components/ErrorState.jsx
+// What a view shows instead of its content when loading or drawing failed:
+// a plain-language explanation for the kind of error, a retry button and,
+// folded away, the technical details support staff ask for.
+import { useState } from "react";
+import { useI18n } from "../i18n";
+import { technicalDetails } from "../utils/errors";
+
+export default function ErrorState({ error, view, componentStack, onRetry, compact = false }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+  const kind = error?.kind ?? "unknown";
+  const details = technicalDetails(error, { view, componentStack });
+
+  const copyDetails = async () => {
+    try {
+      await navigator.clipboard.writeText(details);
+      setCopied(true);
+    } catch {
+      // the text is still there to select by hand
+    }
+  };
+
+  return (
+    <div
+      role="alert"
+      style={{
+        margin: compact ? 0 : "12px auto",
+        maxWidth: compact ? "none" : 640,
+        padding: compact ? "12px 14px" : "18px 20px",
+        borderRadius: 10,
+        background: "#fdecea",
+        border: "1px solid #e0a39c",
+        color: "#5f2120",
+        textAlign: "left",
+      }}
+    >
+      <strong style={{ display: "block", fontSize: compact ? 15 : 17 }}>{t(`error.${kind}.title`)}</strong>
+      <p style={{ margin: "6px 0 10px 0" }}>{t(`error.${kind}.body`, { status: error?.status ?? "?" })}</p>
+      {onRetry && (
+        <button
+          onClick={onRetry}
+          style={{ padding: "8px 14px", borderRadius: 6, border: "none", background: "#003366", color: "white", cursor: "pointer" }}
+        >
+          {t("error.retry")}
+        </button>
+      )}
+      <details style={{ marginTop: 10, fontSize: 13 }}>
+        <summary style={{ cursor: "pointer" }}>{t("error.details")}</summary>
+        <pre
+          style={{
+            margin: "8px 0",
+            padding: 10,
+            background: "white",
+            border: "1px solid #e0a39c",
+            borderRadius: 6,
+            whiteSpace: "pre-wrap",
+            wordBreak: "break-word",
+            fontSize: 12,
+          }}
+        >
+          {details}
+        </pre>
+        <button
+          onClick={copyDetails}
+          style={{ padding: "4px 10px", borderRadius: 6, border: "1px solid #5f2120", background: "white", color: "#5f2120", cursor: "pointer" }}
+        >
+          {copied ? t("error.detailsCopied") : t("error.copyDetails")}
+        </button>
+      </details>
+    </div>
+  );
+}
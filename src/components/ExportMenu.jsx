@@ -0,0 +1,78 @@
+// src/components/ExportMenu.jsx
+import { useState } from "react";
+import { useI18n } from "../i18n";
+import { districtSheet, downloadCsv, downloadXlsx, recordSheet } from "../utils/export";
+
+// fileBase: e.g. "mgnrega-tn-2023-2024"
+export default function ExportMenu({ data, rawRecords, fileBase, onPrint }) {
+  const { t } = useI18n();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const empty = data.length === 0;
+
+  const run = async (fn) => {
+    setError(null);
+    setBusy(true);
+    try {
+      await fn();
+    } catch (err) {
+      console.error("export failed:", err);
+      setError(err.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const buttonStyle = {
+    padding: "6px 12px",
+    borderRadius: 6,
+    border: "1px solid #c9d6e3",
+    background: "white",
+    cursor: empty || busy ? "not-allowed" : "pointer",
+  };
+
+  return (
+    <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 12 }}>
+      <strong style={{ color: "#003366" }}>{t("export.label")}</strong>
+      <button
+        disabled={empty || busy}
+        onClick={() => run(() => downloadCsv(districtSheet(data, t), `${fileBase}-districts.csv`))}
+        style={buttonStyle}
+      >
+        {t("export.csvDistricts")}
+      </button>
+      <button
+        disabled={empty || busy}
+        onClick={() => run(() => downloadCsv(recordSheet(rawRecords), `${fileBase}-monthly.csv`))}
+        style={buttonStyle}
+      >
+        {t("export.csvRecords")}
+      </button>
+      <button
+        disabled={empty || busy}
+        onClick={() =>
+          run(() =>
+            downloadXlsx(
+              [
+                { name: t("export.sheetDistricts"), rows: districtSheet(data, t) },
+                { name: t("export.sheetRecords"), rows: recordSheet(rawRecords) },
+              ],
+              `${fileBase}.xlsx`
+            )
+          )
+        }
+        style={buttonStyle}
+      >
+        {t("export.xlsx")}
+      </button>
+      <button disabled={empty || busy} onClick={onPrint} style={buttonStyle}>
+        {t("export.pdf")}
+      </button>
+      {error && (
+        <span role="alert" style={{ color: "#990000" }}>
+          {t("export.failed", { message: error })}
+        </span>
+      )}
+    </div>
+  );
+}
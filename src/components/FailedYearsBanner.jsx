@@ -0,0 +1,55 @@
+// src/components/FailedYearsBanner.jsx
+import { useI18n } from "../i18n";
+import { technicalDetails } from "../utils/errors";
+
+export default function FailedYearsBanner({ years, errors = {}, retrying, onRetry }) {
+  const { t } = useI18n();
+  if (!years || years.length === 0) return null;
+  const details = years
+    .filter((y) => errors[y])
+    .map((y) => technicalDetails(errors[y], { view: `dashboard ${y}` }))
+    .join("\n\n");
+
+  return (
+    <div
+      role="alert"
+      style={{
+        margin: "0 26px 14px 26px",
+        padding: "12px 16px",
+        borderRadius: 10,
+        background: "#fff4e5",
+        border: "1px solid #f0b429",
+        color: "#7a4b00",
+        display: "flex",
+        alignItems: "center",
+        gap: 10,
+        flexWrap: "wrap",
+      }}
+    >
+      <strong>{t("banner.failedYears")}</strong>
+      {years.map((y) => (
+        <button
+          key={y}
+          onClick={() => onRetry(y)}
+          disabled={retrying === y}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 6,
+            border: "1px solid #cc6600",
+            background: "white",
+            color: "#7a4b00",
+            cursor: retrying === y ? "wait" : "pointer",
+          }}
+        >
+          {y} — {retrying === y ? t("banner.retrying") : t("banner.retry")}
+        </button>
+      ))}
+      {details && (
+        <details style={{ flexBasis: "100%", fontSize: 13 }}>
+          <summary style={{ cursor: "pointer" }}>{t("error.details")}</summary>
+          <pre style={{ margin: "8px 0 0 0", whiteSpace: "pre-wrap", wordBreak: "break-word", fontSize: 12 }}>{details}</pre>
+        </details>
+      )}
+    </div>
+  );
+}
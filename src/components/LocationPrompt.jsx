@@ -0,0 +1,100 @@
+// src/components/LocationPrompt.jsx
+import { Link } from "react-router-dom";
+import { useI18n } from "../i18n";
+
+const FAILED = ["denied", "timeout", "unavailable", "outside"];
+
+export default function LocationPrompt({ status, district, candidates = [], onConfirm, onAllow, onDecline, onDismiss }) {
+  const { t } = useI18n();
+  if (status === "idle") return null;
+
+  const buttonStyle = {
+    padding: "6px 12px",
+    borderRadius: 6,
+    border: "1px solid #003366",
+    background: "white",
+    color: "#003366",
+    cursor: "pointer",
+  };
+  const primaryStyle = { ...buttonStyle, background: "#003366", color: "white" };
+
+  return (
+    <div
+      role={FAILED.includes(status) ? "alert" : "status"}
+      style={{
+        margin: "0 26px 14px 26px",
+        padding: "12px 16px",
+        borderRadius: 10,
+        background: "#eef5ff",
+        border: "1px solid #b6d0f2",
+        color: "#073b6b",
+        display: "flex",
+        alignItems: "center",
+        gap: 10,
+        flexWrap: "wrap",
+      }}
+    >
+      {status === "ask" && (
+        <>
+          <div style={{ flex: "1 1 320px" }}>
+            <strong>{t("location.ask")}</strong>
+            <div style={{ fontSize: 13, color: "#445" }}>{t("location.privacy")}</div>
+          </div>
+          <button onClick={onAllow} style={primaryStyle}>
+            {t("location.allow")}
+          </button>
+          <button onClick={onDecline} style={buttonStyle}>
+            {t("location.decline")}
+          </button>
+        </>
+      )}
+
+      {status === "locating" && <span>{t("location.locating")}</span>}
+
+      {status === "confirm" && (
+        <>
+          <span style={{ flex: "1 1 320px" }}>{t("location.confirm")}</span>
+          {candidates.map((d) => (
+            <button key={d.district} onClick={() => onConfirm(d)} style={buttonStyle}>
+              {d.name}
+            </button>
+          ))}
+          <Link to="/district" style={{ ...buttonStyle, textDecoration: "none" }}>
+            {t("location.pickFromList")}
+          </Link>
+          <button onClick={onDismiss} style={buttonStyle}>
+            {t("location.dismiss")}
+          </button>
+        </>
+      )}
+
+      {status === "found" && (
+        <>
+          <span style={{ flex: 1 }}>{t("location.found", { district })}</span>
+          <button onClick={onDismiss} style={buttonStyle}>
+            {t("location.dismiss")}
+          </button>
+        </>
+      )}
+
+      {FAILED.includes(status) && (
+        <>
+          <span style={{ flex: "1 1 320px" }}>
+            {t(`location.${status}`)} {t("location.manual")}
+          </span>
+          {status !== "outside" && status !== "denied" && (
+            <button onClick={onAllow} style={buttonStyle}>
+              {t("location.retry")}
+            </button>
+          )}
+          <Link to="/district" style={{ ...buttonStyle, textDecoration: "none" }}>
+            {t("location.pickFromList")}
+          </Link>
+          <button onClick={onDismiss} style={buttonStyle}>
+            {t("location.dismiss")}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
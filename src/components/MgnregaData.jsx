@@ -1,113 +1,157 @@
 // src/components/MgnregaData.jsx
-import { useEffect, useMemo, useState } from "react";
+// Monthly records straight from data.gov.in. Filters go into the API query
+// and rows are paged in with offset/limit as the table is scrolled.
+import { useEffect, useRef, useState } from "react";
+import { useI18n } from "../i18n";
+import { DEFAULT_SOURCE } from "../api/client";
+import { API_STATE_NAMES, findState } from "../config/states";
+import { FIN_YEARS } from "../config/years";
+import { FY_MONTH_NAMES } from "../utils/period";
+import usePagedRecords from "../hooks/usePagedRecords";
+import ErrorState from "./ErrorState";
 
-const RESOURCE_ID = "8f9b7a76-8f55-4f24-bfc1-54b24c23e9d3";
+const PAGE_SIZE = 100;
+// the backend serves whole years only; the mock source pages like data.gov.in
+const SOURCE = DEFAULT_SOURCE === "mock" ? "mock" : "datagov";
 
 export default function MgnregaData() {
-  const [records, setRecords] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { t, fmt } = useI18n();
 
   // filters
   const [stateFilter, setStateFilter] = useState("");
+  const [yearFilter, setYearFilter] = useState("");
   const [monthFilter, setMonthFilter] = useState("");
+  const [districtInput, setDistrictInput] = useState("");
+  const [districtFilter, setDistrictFilter] = useState("");
+  const districtTimer = useRef(null);
 
-  const API_KEY = import.meta.env.VITE_DATA_GOV_KEY;
+  const { records, total, loading, loadingAll, done, error, loadMore, loadAll, stop } = usePagedRecords(
+    { stateName: stateFilter, finYear: yearFilter, month: monthFilter, district: districtFilter },
+    { source: SOURCE, pageSize: PAGE_SIZE }
+  );
 
+  // infinite scroll: fetch the next page when the end of the table comes into view
+  const sentinel = useRef(null);
   useEffect(() => {
-    async function fetchData() {
-      setLoading(true);
-      setError(null);
-      try {
-        // fetch a reasonable number (you can increase limit)
-        const url = `https://api.data.gov.in/resource/${RESOURCE_ID}?format=json&limit=200&api-key=${API_KEY}`;
-        const res = await fetch(url);
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const json = await res.json();
-        setRecords(json.records || []);
-      } catch (err) {
-        console.error(err);
-        setError(err.message || "Fetch error");
-      } finally {
-        setLoading(false);
-      }
-    }
-    fetchData();
-  }, [API_KEY]);
-
-  // compute unique states and months for filter dropdowns
-  const states = useMemo(() => {
-    const s = new Set(records.map((r) => r.state_name).filter(Boolean));
-    return ["All", ...Array.from(s).sort()];
-  }, [records]);
-
-  const months = useMemo(() => {
-    const m = new Set(records.map((r) => r.month_name).filter(Boolean));
-    return ["All", ...Array.from(m).sort()];
-  }, [records]);
-
-  const filtered = useMemo(() => {
-    return records.filter((r) => {
-      if (stateFilter && stateFilter !== "All" && r.state_name !== stateFilter)
-        return false;
-      if (monthFilter && monthFilter !== "All" && r.month_name !== monthFilter)
-        return false;
-      return true;
+    const node = sentinel.current;
+    if (!node || done || loading || error) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
     });
-  }, [records, stateFilter, monthFilter]);
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [done, loading, error, loadMore]);
 
-  if (loading) return <p className="text-center py-6">Loading MGNREGA data...</p>;
-  if (error) return <p className="text-center py-6 text-red-600">Error: {error}</p>;
+  const reset = () => {
+    setStateFilter("");
+    setYearFilter("");
+    setMonthFilter("");
+    setDistrictInput("");
+    setDistrictFilter("");
+  };
 
   return (
     <section className="p-6 max-w-6xl mx-auto">
       <h2 className="text-2xl font-semibold text-center mb-4">
-        MGNREGA Monthly Performance (sample)
+        {t("explorer.title")}
       </h2>
 
       {/* Filters */}
-      <div className="flex flex-col sm:flex-row gap-3 justify-center items-center mb-4">
-        <div>
-          <label className="block text-sm mb-1">State</label>
+      <div className="flex flex-col sm:flex-row flex-wrap gap-3 justify-center items-end mb-4">
+        <label className="block text-sm">
+          <span className="block mb-1">{t("explorer.state")}</span>
           <select
-            value={stateFilter || "All"}
+            value={stateFilter}
             onChange={(e) => setStateFilter(e.target.value)}
             className="border rounded px-3 py-2"
           >
-            {states.map((s) => (
-              <option key={s} value={s}>
-                {s}
+            <option value="">{t("explorer.all")}</option>
+            {API_STATE_NAMES.map((name) => {
+              const configured = findState(name);
+              return (
+                <option key={name} value={name}>
+                  {configured ? t(`state.${configured.code}`) : name}
+                </option>
+              );
+            })}
+          </select>
+        </label>
+
+        <label className="block text-sm">
+          <span className="block mb-1">{t("explorer.year")}</span>
+          <select
+            value={yearFilter}
+            onChange={(e) => setYearFilter(e.target.value)}
+            className="border rounded px-3 py-2"
+          >
+            <option value="">{t("explorer.all")}</option>
+            {FIN_YEARS.map((y) => (
+              <option key={y} value={y}>
+                {y}
               </option>
             ))}
           </select>
-        </div>
+        </label>
 
-        <div>
-          <label className="block text-sm mb-1">Month</label>
+        <label className="block text-sm">
+          <span className="block mb-1">{t("explorer.month")}</span>
           <select
-            value={monthFilter || "All"}
+            value={monthFilter}
             onChange={(e) => setMonthFilter(e.target.value)}
             className="border rounded px-3 py-2"
           >
-            {months.map((m) => (
+            <option value="">{t("explorer.all")}</option>
+            {FY_MONTH_NAMES.map((m) => (
               <option key={m} value={m}>
                 {m}
               </option>
             ))}
           </select>
-        </div>
+        </label>
 
-        <div>
-          <button
-            onClick={() => {
-              setStateFilter("All");
-              setMonthFilter("All");
+        <label className="block text-sm">
+          <span className="block mb-1">{t("metric.district")}</span>
+          <input
+            value={districtInput}
+            onChange={(e) => {
+              const v = e.target.value;
+              setDistrictInput(v);
+              if (districtTimer.current) clearTimeout(districtTimer.current);
+              districtTimer.current = setTimeout(() => setDistrictFilter(v.trim()), 450);
             }}
-            className="mt-4 sm:mt-6 bg-gray-200 px-3 py-2 rounded"
-          >
-            Reset
+            placeholder={t("filters.districtPlaceholder")}
+            className="border rounded px-3 py-2"
+          />
+        </label>
+
+        <button onClick={reset} className="bg-gray-200 px-3 py-2 rounded">
+          {t("explorer.reset")}
+        </button>
+      </div>
+
+      {/* Progress */}
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm text-gray-700" role="status">
+        {total !== null && (
+          <>
+            <progress value={records.length} max={total || 1} className="w-48" aria-label={t("explorer.progressLabel")} />
+            <span>
+              {done
+                ? t("explorer.allLoaded", { total: fmt(total) })
+                : t("explorer.progress", { loaded: fmt(records.length), total: fmt(total) })}
+            </span>
+          </>
+        )}
+        {loading && <span>{t("explorer.loading")}</span>}
+        {!done && !loadingAll && total !== null && (
+          <button onClick={loadAll} disabled={loading} className="ml-auto bg-green-700 text-white px-3 py-1 rounded disabled:opacity-50">
+            {t("explorer.loadAll")}
+          </button>
+        )}
+        {loadingAll && (
+          <button onClick={stop} className="ml-auto bg-gray-200 px-3 py-1 rounded">
+            {t("explorer.stop")}
           </button>
-        </div>
+        )}
       </div>
 
       {/* Table */}
@@ -115,33 +159,35 @@ export default function MgnregaData() {
         <table className="min-w-full">
           <thead className="bg-green-700 text-white">
             <tr>
-              <th className="p-2 text-left">State</th>
-              <th className="p-2 text-left">District</th>
-              <th className="p-2 text-left">Month</th>
-              <th className="p-2 text-right">Households Worked</th>
-              <th className="p-2 text-right">Person-Days</th>
-              <th className="p-2 text-right">Wages Paid</th>
+              <th scope="col" className="p-2 text-left">{t("explorer.state")}</th>
+              <th scope="col" className="p-2 text-left">{t("metric.district")}</th>
+              <th scope="col" className="p-2 text-left">{t("explorer.year")}</th>
+              <th scope="col" className="p-2 text-left">{t("explorer.month")}</th>
+              <th scope="col" className="p-2 text-right">{t("metric.households")}</th>
+              <th scope="col" className="p-2 text-right">{t("explorer.personDays")}</th>
+              <th scope="col" className="p-2 text-right">{t("explorer.wagesPaid")}</th>
             </tr>
           </thead>
           <tbody>
-            {filtered.length === 0 ? (
+            {records.length === 0 && !loading ? (
               <tr>
-                <td colSpan={6} className="p-4 text-center">
-                  No records match the filters.
+                <td colSpan={7} className="p-4 text-center">
+                  {error ? "" : t("explorer.noMatch")}
                 </td>
               </tr>
             ) : (
-              filtered.map((row, i) => (
+              records.map((row) => (
                 <tr
-                  key={i}
+                  key={`${row.state_name}|${row.district_name}|${row.fin_year}|${row.month}`}
                   className={`border-b even:bg-gray-50 hover:bg-green-50 transition`}
                 >
                   <td className="p-2">{row.state_name}</td>
-                  <td className="p-2">{row.district_name}</td>
-                  <td className="p-2">{row.month_name}</td>
-                  <td className="p-2 text-right">{row.no_of_hh_worked || "-"}</td>
-                  <td className="p-2 text-right">{row.total_persondays_gen || "-"}</td>
-                  <td className="p-2 text-right">{row.total_wages_paid || "-"}</td>
+                  <td className="p-2">{row.district_display}</td>
+                  <td className="p-2">{row.fin_year}</td>
+                  <td className="p-2">{row.month}</td>
+                  <td className="p-2 text-right">{row.Total_Households_Worked ? fmt(row.Total_Households_Worked) : "-"}</td>
+                  <td className="p-2 text-right">{row.Persondays ? fmt(row.Persondays) : "-"}</td>
+                  <td className="p-2 text-right">{row.Wages ? fmt(row.Wages) : "-"}</td>
                 </tr>
               ))
             )}
@@ -149,9 +195,8 @@ export default function MgnregaData() {
         </table>
       </div>
 
-      <p className="text-sm mt-3 text-gray-600">
-        Showing {filtered.length} of {records.length} records (sample).
-      </p>
+      <div ref={sentinel} className="h-4" />
+      {error && <ErrorState error={error} view="explorer" onRetry={loadMore} />}
     </section>
   );
 }
@@ -0,0 +1,30 @@
+// src/components/OfflineIndicator.jsx
+import { useI18n } from "../i18n";
+
+export default function OfflineIndicator({ since }) {
+  const { t, locale } = useI18n();
+  if (!since) return null;
+
+  const asOf = new Date(since).toLocaleString(`${locale}-IN`, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+  return (
+    <div
+      role="status"
+      style={{
+        margin: "0 26px 14px 26px",
+        padding: "10px 16px",
+        borderRadius: 10,
+        background: "#eef2f7",
+        border: "1px solid #9fb3c8",
+        color: "#243b53",
+      }}
+    >
+      <strong>{t("offline.label")}</strong>
+      {" — "}
+      {t("offline.asOf", { time: asOf })}
+    </div>
+  );
+}
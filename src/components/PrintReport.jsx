@@ -0,0 +1,72 @@
+// src/components/PrintReport.jsx
+// Print-only layout of the current view; "PDF report" prints it through the
+// browser, whose own text shaping renders Tamil and other Indic scripts
+// correctly (PDF libraries need embedded fonts and still break conjuncts).
+import { useI18n } from "../i18n";
+import { DISTRICT_COLUMNS, formatCell } from "../config/columns";
+
+const cellStyle = { border: "1px solid #ccd", padding: "4px 6px", fontSize: 11 };
+
+export default function PrintReport({ title, scope, districtFilter, insights, data, chartImage, chartTitle }) {
+  const { t, fmt, fmtCompact, locale } = useI18n();
+  const columns = DISTRICT_COLUMNS.filter((c) => !c.hidden);
+  const cards = [
+    [t("cards.totalHouseholds"), fmtCompact(insights.totalHouseholds)],
+    [t("cards.totalPersondays"), fmtCompact(insights.totalPersondays)],
+    [t("cards.avgHouseholds"), fmt(insights.avgHouseholds)],
+    [t("cards.avgWageRate"), fmt(insights.avgWageRate)],
+    [t("cards.topDistrict"), insights.topDistrict ?? t("cards.na")],
+    [t("cards.lowDistrict"), insights.lowDistrict ?? t("cards.na")],
+  ];
+
+  return (
+    <div className="print-report" lang={locale}>
+      <h1 style={{ fontSize: 20, margin: "0 0 4px 0" }}>{title}</h1>
+      <div style={{ fontSize: 12, color: "#444" }}>
+        {scope}
+        {districtFilter ? ` · ${t("report.districtFilter", { district: districtFilter })}` : ""}
+        {" · "}
+        {t("report.generated", { date: new Date().toLocaleString("en-IN") })}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, margin: "12px 0", flexWrap: "wrap" }}>
+        {cards.map(([label, value]) => (
+          <div key={label} style={{ border: "1px solid #ccd", borderRadius: 6, padding: "6px 10px", flex: "1 1 0" }}>
+            <div style={{ fontSize: 11, color: "#444" }}>{label}</div>
+            <div style={{ fontSize: 15, fontWeight: 700 }}>{value}</div>
+          </div>
+        ))}
+      </div>
+
+      {chartImage && (
+        <figure style={{ margin: "0 0 12px 0", breakInside: "avoid" }}>
+          <figcaption style={{ fontWeight: 600, marginBottom: 4 }}>{chartTitle}</figcaption>
+          <img src={chartImage} alt={chartTitle} style={{ width: "100%", maxHeight: 320, objectFit: "contain" }} />
+        </figure>
+      )}
+
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            {columns.map((c) => (
+              <th key={c.key} style={{ ...cellStyle, background: "#eef2f6", textAlign: c.format === "text" ? "left" : "right" }}>
+                {t(c.label)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {data.map((row) => (
+            <tr key={`${row.state_name}-${row.district_name}`} style={{ breakInside: "avoid" }}>
+              {columns.map((c) => (
+                <td key={c.key} style={{ ...cellStyle, textAlign: c.format === "text" ? "left" : "right" }}>
+                  {formatCell(c, row[c.key], { t, fmt })}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+// src/components/RequireAuth.jsx
+import { Navigate, useLocation } from "react-router-dom";
+import { useAuth } from "../context/auth";
+import { useI18n } from "../i18n";
+
+// Route guard: signed-out visitors go to /login and come back afterwards.
+export default function RequireAuth({ children }) {
+  const { user, initializing } = useAuth();
+  const location = useLocation();
+  const { t } = useI18n();
+
+  if (initializing) {
+    return <div style={{ textAlign: "center", padding: 40, color: "#666" }}>{t("status.loading")}</div>;
+  }
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  return children;
+}
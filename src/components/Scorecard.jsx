@@ -0,0 +1,92 @@
+// src/components/Scorecard.jsx
+import { useMemo } from "react";
+import { useI18n } from "../i18n";
+import { KPIS, STATUS_COLOURS, formatKpi, rankDistricts } from "../utils/kpi";
+import DistrictButton from "./DistrictButton";
+
+function Light({ status }) {
+  const { t } = useI18n();
+  if (!status) return null;
+  return (
+    <span
+      role="img"
+      className="swatch"
+      aria-label={t(`kpi.status.${status}`)}
+      title={t(`kpi.status.${status}`)}
+      style={{
+        display: "inline-block",
+        width: 10,
+        height: 10,
+        borderRadius: "50%",
+        background: STATUS_COLOURS[status],
+        marginRight: 6,
+        verticalAlign: "middle",
+      }}
+    />
+  );
+}
+
+export default function Scorecard({ districts, onSelect }) {
+  const { t, fmt } = useI18n();
+  const ranked = useMemo(() => rankDistricts(districts), [districts]);
+  const hasYoy = ranked.some((r) => r.kpis.yoyGrowth.value !== null);
+
+  return (
+    <div>
+      <details style={{ marginBottom: 12 }}>
+        <summary style={{ cursor: "pointer", color: "#003366", fontWeight: 600 }}>{t("kpi.formulas")}</summary>
+        <ul style={{ margin: "8px 0", paddingLeft: 20, lineHeight: 1.6 }}>
+          {KPIS.map((k) => (
+            <li key={k.key}>
+              <b>{t(k.label)}</b> = {t(k.formula)}.{" "}
+              <span style={{ color: "#555" }}>
+                {t("kpi.thresholds", { good: formatKpi(k, k.good, { t, fmt }), warn: formatKpi(k, k.warn, { t, fmt }) })}
+              </span>
+            </li>
+          ))}
+          <li>{t("kpi.scoreFormula")}</li>
+        </ul>
+      </details>
+      {!hasYoy && <p style={{ color: "#666", fontSize: 14 }}>{t("kpi.yoyNeedsYears")}</p>}
+
+      <div style={{ maxHeight: 480, overflow: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <caption className="visually-hidden">{t("kpi.title")}</caption>
+          <thead>
+            <tr style={{ background: "#082c4a", color: "white" }}>
+              <th scope="col" style={{ padding: 8, position: "sticky", top: 0, background: "#082c4a" }}>{t("kpi.rank")}</th>
+              <th scope="col" style={{ padding: 8, position: "sticky", top: 0, background: "#082c4a", textAlign: "left" }}>{t("metric.district")}</th>
+              {KPIS.map((k) => (
+                <th scope="col" key={k.key} title={t(k.formula)} style={{ padding: 8, position: "sticky", top: 0, background: "#082c4a", textAlign: "right" }}>
+                  {t(k.label)}
+                </th>
+              ))}
+              <th scope="col" style={{ padding: 8, position: "sticky", top: 0, background: "#082c4a", textAlign: "right" }}>{t("kpi.score")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ranked.map(({ district, kpis, score, rank }) => (
+              <tr
+                key={`${district.state_name}-${district.district_name}`}
+                onClick={() => onSelect(district)}
+                style={{ cursor: "pointer", borderBottom: "1px solid #f0f0f0" }}
+              >
+                <td style={{ padding: 8, textAlign: "center" }}>{fmt(rank)}</td>
+                <td style={{ padding: 8 }}>
+                  <DistrictButton district={district} onSelect={onSelect} />
+                </td>
+                {KPIS.map((k) => (
+                  <td key={k.key} style={{ padding: 8, textAlign: "right", whiteSpace: "nowrap" }}>
+                    <Light status={kpis[k.key].status} />
+                    {formatKpi(k, kpis[k.key].value, { t, fmt })}
+                  </td>
+                ))}
+                <td style={{ padding: 8, textAlign: "right", fontWeight: 700 }}>{fmt(score)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+// src/config/columns.js
+// Columns of the district table. `format` decides how a value is shown
+// (see formatCell); the header label already names the metric and `unit`
+// is what chart axes and legends add to it.
+
+export const DISTRICT_COLUMNS = [
+  { key: "district_display", label: "metric.district", format: "text" },
+  { key: "Approved_Labour_Budget", label: "metric.approvedBudget", format: "count", unit: "unit.persondays" },
+  { key: "Average_Wage_rate_per_day_per_person", label: "metric.avgWageRate", format: "rupees", unit: "unit.rupeesPerDay" },
+  { key: "Average_days_of_employment_provided_per_Household", label: "metric.avgDays", format: "days", unit: "unit.daysPerHousehold" },
+  { key: "Total_Households_Worked", label: "metric.households", format: "count", unit: "unit.households" },
+  { key: "Total_Individuals_Worked", label: "metric.individuals", format: "count", unit: "unit.individuals" },
+  { key: "Persondays", label: "metric.persondays", format: "count", unit: "unit.persondays", hidden: true },
+  { key: "Total_Exp", label: "metric.totalExp", format: "lakhs", unit: "unit.rupeeLakhs" },
+  { key: "Wages", label: "metric.wages", format: "lakhs", unit: "unit.rupeeLakhs" },
+];
+
+export const DEFAULT_SORT = { key: "Total_Exp", dir: "desc" };
+
+export const findColumn = (key) => DISTRICT_COLUMNS.find((c) => c.key === key) || null;
+
+// value → display string with its unit, using the i18n helpers
+export const formatCell = (column, value, { t, fmt }) => {
+  switch (column.format) {
+    case "count":
+      return fmt(value, { maximumFractionDigits: 0 });
+    case "rupees":
+      return `₹${fmt(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    case "lakhs":
+      return `₹${fmt(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${t("unit.lakh")}`;
+    case "days":
+      return `${fmt(value, { maximumFractionDigits: 1 })} ${t("unit.days")}`;
+    default:
+      return String(value ?? "");
+  }
+};
@@ -0,0 +1,98 @@
+// src/config/states.js
+// State list and per-state branding. Adding a state here, plus its
+// "app.title.<code>" and "state.<code>" messages and its districts in
+// src/data/gazetteer.json, is all it takes to make it selectable.
+//
+// `emblem` and `boundaries` are optional: null means the asset hasn't been
+// added for that state yet. Check them through hasEmblem / hasBoundaries,
+// and show the slot as not available rather than leaving a gap.
+import tamilNaduDistricts from "../data/tamilnadu_districts.geo.json";
+import { districtsOf } from "../utils/gazetteer";
+
+export const STATES = [
+  {
+    code: "tn",
+    titleKey: "app.title.tn",
+    name: "TAMIL NADU",
+    display: "Tamil Nadu",
+    emblem: "/tamilnadu_emblem.svg",
+    defaultLanguage: "ta",
+    center: [11.0, 78.4],
+    boundaries: tamilNaduDistricts,
+    districts: districtsOf("TAMIL NADU"),
+  },
+  {
+    code: "ka",
+    titleKey: "app.title.ka",
+    name: "KARNATAKA",
+    display: "Karnataka",
+    emblem: null,
+    defaultLanguage: "kn",
+    center: [15.0, 76.2],
+    boundaries: null,
+    districts: districtsOf("KARNATAKA"),
+  },
+  {
+    code: "ap",
+    titleKey: "app.title.ap",
+    name: "ANDHRA PRADESH",
+    display: "Andhra Pradesh",
+    emblem: null,
+    defaultLanguage: "te",
+    center: [15.9, 79.7],
+    boundaries: null,
+    districts: districtsOf("ANDHRA PRADESH"),
+  },
+];
+
+export const DEFAULT_STATE = STATES[0];
+
+export const hasEmblem = (state) => Boolean(state?.emblem);
+export const hasBoundaries = (state) => Boolean(state?.boundaries?.features?.length);
+
+// Every state and UT in the MGNREGA resource, spelt as its `state_name`
+// field holds them (upper case). Only STATES above have a dashboard; the
+// monthly explorer can page through any of these.
+export const API_STATE_NAMES = [
+  "ANDAMAN AND NICOBAR",
+  "ANDHRA PRADESH",
+  "ARUNACHAL PRADESH",
+  "ASSAM",
+  "BIHAR",
+  "CHHATTISGARH",
+  "DN HAVELI AND DD",
+  "GOA",
+  "GUJARAT",
+  "HARYANA",
+  "HIMACHAL PRADESH",
+  "JAMMU AND KASHMIR",
+  "JHARKHAND",
+  "KARNATAKA",
+  "KERALA",
+  "LADAKH",
+  "LAKSHADWEEP",
+  "MADHYA PRADESH",
+  "MAHARASHTRA",
+  "MANIPUR",
+  "MEGHALAYA",
+  "MIZORAM",
+  "NAGALAND",
+  "ODISHA",
+  "PUDUCHERRY",
+  "PUNJAB",
+  "RAJASTHAN",
+  "SIKKIM",
+  "TAMIL NADU",
+  "TELANGANA",
+  "TRIPURA",
+  "UTTAR PRADESH",
+  "UTTARAKHAND",
+  "WEST BENGAL",
+];
+
+// Accepts a code ("ka"), an API name ("KARNATAKA") or a display name.
+export const findState = (value) => {
+  const v = String(value || "").trim().toUpperCase();
+  if (!v) return null;
+  return STATES.find((s) => s.code.toUpperCase() === v || s.name === v || s.display.toUpperCase() === v) || null;
+};
@@ -0,0 +1,11 @@
+// src/config/years.js
+// Financial years the dashboard offers, newest first.
+export const FIN_YEARS = [
+  "2024-2025",
+  "2023-2024",
+  "2022-2023",
+  "2021-2022",
+  "2020-2021",
+  "2019-2020",
+  "2018-2019",
+];
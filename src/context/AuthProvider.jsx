@@ -0,0 +1,77 @@
+// src/context/AuthProvider.jsx
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { onAuthStateChanged, RecaptchaVerifier, signInWithPhoneNumber, signOut } from "firebase/auth";
+import { auth } from "../firebase/firebaseConfig";
+import { AuthContext, CODE_TTL_MS } from "./auth";
+
+const RECAPTCHA_CONTAINER_ID = "recaptcha-container";
+
+export default function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [initializing, setInitializing] = useState(true);
+  const [pending, setPending] = useState(null); // { phone, sentAt }
+  const confirmation = useRef(null);
+  const verifier = useRef(null);
+
+  // Firebase restores the session from IndexedDB on reload.
+  useEffect(
+    () =>
+      onAuthStateChanged(auth, (u) => {
+        setUser(u);
+        setInitializing(false);
+      }),
+    []
+  );
+
+  const resetVerifier = () => {
+    verifier.current?.clear();
+    verifier.current = null;
+  };
+
+  const sendCode = useCallback(async (phone) => {
+    if (!verifier.current) {
+      verifier.current = new RecaptchaVerifier(auth, RECAPTCHA_CONTAINER_ID, { size: "invisible" });
+    }
+    try {
+      confirmation.current = await signInWithPhoneNumber(auth, phone, verifier.current);
+      setPending({ phone, sentAt: Date.now() });
+    } catch (err) {
+      // a used or failed reCAPTCHA cannot be reused
+      resetVerifier();
+      throw err;
+    }
+  }, []);
+
+  const verifyCode = useCallback(
+    async (code) => {
+      if (!confirmation.current || !pending) {
+        throw Object.assign(new Error("No OTP pending"), { code: "auth/code-expired" });
+      }
+      if (Date.now() - pending.sentAt > CODE_TTL_MS) {
+        throw Object.assign(new Error("OTP expired"), { code: "auth/code-expired" });
+      }
+      const result = await confirmation.current.confirm(code);
+      confirmation.current = null;
+      setPending(null);
+      return result.user;
+    },
+    [pending]
+  );
+
+  const logout = useCallback(async () => {
+    await signOut(auth);
+    setPending(null);
+  }, []);
+
+  const value = useMemo(
+    () => ({ user, initializing, pending, sendCode, verifyCode, logout }),
+    [user, initializing, pending, sendCode, verifyCode, logout]
+  );
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+      <div id={RECAPTCHA_CONTAINER_ID} />
+    </AuthContext.Provider>
+  );
+}
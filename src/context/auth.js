@@ -0,0 +1,27 @@
+// src/context/auth.js
+import { createContext, useContext } from "react";
+
+export const AuthContext = createContext(null);
+
+// Firebase does not expose the code lifetime; keep the UI conservative.
+export const CODE_TTL_MS = 5 * 60 * 1000;
+export const RESEND_COOLDOWN_MS = 30 * 1000;
+
+export const useAuth = () => {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error("useAuth must be used inside <AuthProvider>");
+  return ctx;
+};
+
+// Firebase error codes → message keys for text a citizen can act on.
+const AUTH_ERRORS = {
+  "auth/invalid-phone-number": "auth.error.invalidPhone",
+  "auth/invalid-verification-code": "auth.error.invalidCode",
+  "auth/code-expired": "auth.error.codeExpired",
+  "auth/too-many-requests": "auth.error.tooManyRequests",
+  "auth/quota-exceeded": "auth.error.quotaExceeded",
+  "auth/network-request-failed": "auth.error.network",
+  "auth/captcha-check-failed": "auth.error.captcha",
+};
+
+export const authErrorKey = (err) => AUTH_ERRORS[err?.code] || "auth.error.generic";
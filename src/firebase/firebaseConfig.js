@@ -1,6 +1,6 @@
 // Import Firebase functions
 import { initializeApp } from "firebase/app";
-import { getAuth } from "firebase/auth";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
 
 // Your Firebase Config
 const firebaseConfig = {
@@ -17,3 +17,12 @@ const app = initializeApp(firebaseConfig);
 
 // Initialize Firebase Auth
 export const auth = getAuth(app);
+auth.languageCode = "en";
+
+// Local development: point Auth at the emulator (see firebase.json).
+// Codes are printed in the emulator log instead of being sent by SMS.
+const emulatorHost = import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_HOST;
+if (emulatorHost) {
+  connectAuthEmulator(auth, `http://${emulatorHost}`, { disableWarnings: true });
+  auth.settings.appVerificationDisabledForTesting = true;
+}
@@ -0,0 +1,31 @@
+// src/hooks/useAudioPrompt.js
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Plays a voice prompt when the step opens and exposes `play` for the replay
+// button. Browsers may block autoplay until the first tap; that is not an
+// error here, the replay button is always there.
+export default function useAudioPrompt(src) {
+  const audio = useRef(null);
+  const [playing, setPlaying] = useState(false);
+
+  const play = useCallback(
+    (clip = src) => {
+      audio.current?.pause();
+      if (!clip) return;
+      const a = new Audio(clip);
+      audio.current = a;
+      a.onplaying = () => setPlaying(true);
+      a.onended = () => setPlaying(false);
+      a.onerror = () => setPlaying(false);
+      a.play().catch(() => setPlaying(false));
+    },
+    [src]
+  );
+
+  useEffect(() => {
+    play();
+    return () => audio.current?.pause();
+  }, [play]);
+
+  return { play, playing };
+}
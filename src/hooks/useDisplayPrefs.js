@@ -0,0 +1,33 @@
+// src/hooks/useDisplayPrefs.js
+import { useCallback, useState } from "react";
+
+const STORAGE_KEY = "mgnrega.display";
+
+const load = () => {
+  try {
+    return { highContrast: false, largeText: false, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return { highContrast: false, largeText: false };
+  }
+};
+
+// High-contrast and large-text modes, remembered on the device. Applied as
+// classes on .app-root (see App.css) because most styles here are inline.
+export default function useDisplayPrefs() {
+  const [prefs, setPrefs] = useState(load);
+
+  const toggle = useCallback((key) => {
+    setPrefs((p) => {
+      const next = { ...p, [key]: !p[key] };
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      } catch {
+        // applies for this visit only
+      }
+      return next;
+    });
+  }, []);
+
+  const className = [prefs.highContrast && "contrast-high", prefs.largeText && "text-large"].filter(Boolean).join(" ");
+  return { ...prefs, toggle, className };
+}
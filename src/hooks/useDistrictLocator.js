@@ -0,0 +1,93 @@
+// src/hooks/useDistrictLocator.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { locateDistrict } from "../utils/geo";
+
+const CONSENT_KEY = "mgnrega.locationConsent";
+const GEO_OPTIONS = { timeout: 10000, maximumAge: 10 * 60 * 1000 };
+const ERROR_STATUS = { 1: "denied", 2: "unavailable", 3: "timeout" };
+
+const readConsent = () => {
+  try {
+    return localStorage.getItem(CONSENT_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const writeConsent = (value) => {
+  try {
+    localStorage.setItem(CONSENT_KEY, value);
+  } catch {
+    // we'll just ask again next visit
+  }
+};
+
+// Asks before touching the device location, and remembers the answer.
+// status: idle | ask | locating | confirm | found | denied | timeout | unavailable | outside
+// `onFound({ state, district })` may return false to ignore the result
+// (e.g. because the user has picked a district in the meantime). Near a
+// district edge the status is "confirm" and `candidates` lists the
+// districts to choose from; `confirm(district)` then applies the choice.
+export default function useDistrictLocator({ enabled, onFound }) {
+  const consent = useRef(readConsent());
+  const [status, setStatus] = useState(() => {
+    if (!enabled || consent.current === "declined") return "idle";
+    return consent.current === "granted" ? "locating" : "ask";
+  });
+  const [pending, setPending] = useState(null);
+  const onFoundRef = useRef(onFound);
+  useEffect(() => {
+    onFoundRef.current = onFound;
+  });
+
+  const locate = useCallback(() => {
+    if (!navigator.geolocation) {
+      setStatus("unavailable");
+      return;
+    }
+    consent.current = "granted";
+    writeConsent("granted");
+    setStatus("locating");
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        const hit = locateDistrict(pos.coords.latitude, pos.coords.longitude);
+        if (!hit) setStatus("outside");
+        else if (hit.nearby.length) {
+          setPending(hit);
+          setStatus("confirm");
+        } else setStatus(onFoundRef.current(hit) === false ? "idle" : "found");
+      },
+      (err) => setStatus(ERROR_STATUS[err.code] || "unavailable"),
+      GEO_OPTIONS
+    );
+  }, []);
+
+  // consent from an earlier visit: look up again without asking
+  useEffect(() => {
+    if (enabled && consent.current === "granted") locate();
+  }, [enabled, locate]);
+
+  const decline = useCallback(() => {
+    consent.current = "declined";
+    writeConsent("declined");
+    setStatus("idle");
+  }, []);
+
+  const confirm = useCallback(
+    (district) => {
+      if (!pending) return;
+      setPending(null);
+      setStatus(onFoundRef.current({ state: pending.state, district }) === false ? "idle" : "found");
+    },
+    [pending]
+  );
+
+  const dismiss = useCallback(() => {
+    setPending(null);
+    setStatus("idle");
+  }, []);
+
+  const candidates = pending ? [pending.district, ...pending.nearby] : [];
+
+  return { status, candidates, locate, confirm, decline, dismiss };
+}
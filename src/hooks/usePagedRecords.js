@@ -0,0 +1,67 @@
+// src/hooks/usePagedRecords.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { fetchRecords } from "../api/client";
+import { isAbortError } from "../api/mgnrega";
+import { toAppError } from "../utils/errors";
+
+const EMPTY = { records: [], total: null, loading: false, loadingAll: false, done: false, error: null };
+
+// Pages through a source with offset/limit, appending each page. The first
+// page loads whenever `query` changes; `loadMore` fetches the next one and
+// `loadAll` keeps going until the source reports no more (`stop` ends that
+// after the page in flight). A changed query aborts whatever is running.
+export default function usePagedRecords(query, { source, pageSize = 100 } = {}) {
+  const key = JSON.stringify(query);
+  const [state, setState] = useState(EMPTY);
+  const controller = useRef(null);
+  const offset = useRef(0);
+  const busy = useRef(false);
+  const stopped = useRef(false);
+
+  const load = useCallback(
+    async ({ all = false } = {}) => {
+      if (busy.current) return;
+      busy.current = true;
+      stopped.current = false;
+      const { signal } = controller.current;
+      setState((s) => ({ ...s, loading: true, loadingAll: all, error: null }));
+      try {
+        for (;;) {
+          const page = await fetchRecords({ ...JSON.parse(key), offset: offset.current, limit: pageSize }, { source, signal });
+          offset.current += page.records.length;
+          const done = page.records.length < pageSize || offset.current >= page.total;
+          setState((s) => ({ ...s, records: [...s.records, ...page.records], total: page.total, done }));
+          if (done || !all || stopped.current) break;
+        }
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setState((s) => ({ ...s, error: toAppError(err, { source }) }));
+      } finally {
+        // a newer query owns the flags once this one has been aborted
+        if (controller.current.signal === signal) {
+          busy.current = false;
+          setState((s) => ({ ...s, loading: false, loadingAll: false }));
+        }
+      }
+    },
+    [key, source, pageSize]
+  );
+
+  useEffect(() => {
+    controller.current?.abort();
+    controller.current = new AbortController();
+    offset.current = 0;
+    busy.current = false;
+    setState(EMPTY);
+    load();
+    return () => controller.current.abort();
+  }, [load]);
+
+  const loadMore = useCallback(() => load(), [load]);
+  const loadAll = useCallback(() => load({ all: true }), [load]);
+  const stop = useCallback(() => {
+    stopped.current = true;
+  }, []);
+
+  return { ...state, loadMore, loadAll, stop };
+}
@@ -0,0 +1,27 @@
+// src/hooks/useViewParams.js
+import { useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+
+// The query string as view state. `updateView(patch)` sets each key in the
+// patch, or drops it when the value is empty (null, "", undefined), and
+// pushes a history entry unless `replace` is set.
+export default function useViewParams() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const updateView = useCallback(
+    (patch, { replace = false } = {}) =>
+      setSearchParams(
+        (params) => {
+          for (const [k, v] of Object.entries(patch)) {
+            if (v) params.set(k, v);
+            else params.delete(k);
+          }
+          return params;
+        },
+        { replace }
+      ),
+    [setSearchParams]
+  );
+
+  return [searchParams, updateView];
+}
@@ -0,0 +1,58 @@
+// src/i18n/I18nProvider.jsx
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  DEFAULT_LOCALE,
+  I18nContext,
+  LOCALE_STORAGE_KEY,
+  formatCompact,
+  formatNumber,
+  isLocale,
+  translate,
+} from "./index";
+
+const readStored = () => {
+  try {
+    const v = localStorage.getItem(LOCALE_STORAGE_KEY);
+    return isLocale(v) ? v : null;
+  } catch {
+    return null;
+  }
+};
+
+export default function I18nProvider({ children }) {
+  const [stored, setStored] = useState(readStored);
+  const [locale, setLocaleState] = useState(() => stored || DEFAULT_LOCALE);
+
+  // persist=false applies a default (e.g. the state's language) without
+  // recording it as the user's own choice
+  const setLocale = useCallback((code, { persist = true } = {}) => {
+    if (!isLocale(code)) return;
+    setLocaleState(code);
+    if (!persist) return;
+    setStored(code);
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, code);
+    } catch {
+      // preference just won't survive a reload
+    }
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(
+    () => ({
+      locale,
+      setLocale,
+      // the user's saved choice, or null
+      preference: stored,
+      t: (key, vars) => translate(locale, key, vars),
+      fmt: (n, options) => formatNumber(locale, n, options),
+      fmtCompact: (n) => formatCompact(locale, n),
+    }),
+    [locale, stored, setLocale]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,53 @@
+// src/i18n/index.js
+import { createContext, useContext } from "react";
+import en from "./locales/en.json";
+import ta from "./locales/ta.json";
+import hi from "./locales/hi.json";
+import te from "./locales/te.json";
+import kn from "./locales/kn.json";
+
+export const CATALOGS = { en, ta, hi, te, kn };
+
+// Listed in each language's own script so people can find theirs.
+export const LOCALES = [
+  { code: "ta", label: "தமிழ்" },
+  { code: "en", label: "English" },
+  { code: "hi", label: "हिन्दी" },
+  { code: "te", label: "తెలుగు" },
+  { code: "kn", label: "ಕನ್ನಡ" },
+];
+
+export const DEFAULT_LOCALE = "en";
+export const LOCALE_STORAGE_KEY = "mgnrega.locale";
+
+export const isLocale = (code) => Object.prototype.hasOwnProperty.call(CATALOGS, code);
+
+// Missing keys fall back to English, then to the key itself.
+export const translate = (locale, key, vars) => {
+  const template = CATALOGS[locale]?.[key] ?? en[key] ?? key;
+  if (!vars) return template;
+  return template.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+};
+
+// Indian digit grouping (12,34,567) with Latin digits in every locale. All
+// supported locales write numbers this way, but ICU's Kannada data groups in
+// thousands, so the grouping always comes from en-IN.
+export const formatNumber = (locale, value, options = {}) =>
+  new Intl.NumberFormat("en-IN", { maximumFractionDigits: 2, ...options }).format(Number(value) || 0);
+
+// 12345678 → "1.23 crore", 250000 → "2.5 lakh" (unit words translated).
+export const formatCompact = (locale, value) => {
+  const n = Number(value) || 0;
+  const abs = Math.abs(n);
+  if (abs >= 1e7) return `${formatNumber(locale, n / 1e7)} ${translate(locale, "unit.crore")}`;
+  if (abs >= 1e5) return `${formatNumber(locale, n / 1e5)} ${translate(locale, "unit.lakh")}`;
+  return formatNumber(locale, n);
+};
+
+export const I18nContext = createContext(null);
+
+export const useI18n = () => {
+  const ctx = useContext(I18nContext);
+  if (!ctx) throw new Error("useI18n must be used inside <I18nProvider>");
+  return ctx;
+};
@@ -1,8 +1,32 @@
+import { Link, useSearchParams } from "react-router-dom";
+import { DEFAULT_STATE, findState } from "../../config/states";
+import { useI18n } from "../../i18n";
+
 export default function DistrictSelect() {
+  const [searchParams] = useSearchParams();
+  const { t } = useI18n();
+  const state = findState(searchParams.get("state")) || DEFAULT_STATE;
+
   return (
-    <div className="h-screen flex flex-col items-center justify-center bg-green-200">
-      <h1 className="text-3xl font-bold mb-4">Select Your District</h1>
-      <p className="text-lg">District page working ✅</p>
+    <div className="min-h-screen flex flex-col items-center bg-green-50 py-10 px-4">
+      <h1 className="text-3xl font-bold mb-2">{t("districtSelect.title")}</h1>
+      <p className="text-lg mb-6 text-gray-700">{t(`state.${state.code}`)}</p>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3 w-full max-w-4xl">
+        {state.districts.map((d) => (
+          <Link
+            key={d}
+            to={`/district/${encodeURIComponent(d)}?state=${state.code}`}
+            className="bg-white rounded-lg shadow px-4 py-3 text-center hover:bg-green-100"
+          >
+            {d}
+          </Link>
+        ))}
+      </div>
+
+      <Link to={`/?state=${state.code}`} className="mt-6 text-blue-600 underline">
+        {t("districtSelect.showAll")}
+      </Link>
     </div>
   );
 }
@@ -0,0 +1,260 @@
+// src/pages/Entitlement/Entitlement.jsx
+// "What am I entitled to?" — the 100-day guarantee in rupees for one
+// household, set against what households in its district actually get.
+// Written for outreach volunteers to read out, so sentences, not tables.
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { fetchYear, isAbortError } from "../../api/mgnrega";
+import { DEFAULT_STATE, STATES, findState } from "../../config/states";
+import { FIN_YEARS } from "../../config/years";
+import { useI18n } from "../../i18n";
+import ErrorState from "../../components/ErrorState";
+import useViewParams from "../../hooks/useViewParams";
+import { toAppError } from "../../utils/errors";
+import { resolveDistrict } from "../../utils/gazetteer";
+import { RATION_CARDS, RATION_CARD_SWATCHES, loadOnboarding, saveOnboarding } from "../../utils/onboarding";
+import {
+  GUARANTEED_DAYS,
+  HOUSEHOLD_SIZE,
+  RATION_CARD_NOTES,
+  clampHouseholdSize,
+  districtBenchmark,
+  estimateEntitlement,
+} from "../../utils/entitlement";
+
+// the latest year may not be published yet for every district
+const YEARS_TO_TRY = FIN_YEARS.slice(0, 2);
+
+export default function Entitlement() {
+  const { t, fmt } = useI18n();
+  const [searchParams, updateView] = useViewParams();
+  const [saved] = useState(loadOnboarding);
+  const state = findState(searchParams.get("state")) || findState(saved.state) || DEFAULT_STATE;
+  const typed = searchParams.get("district") || (state.code === saved.state ? saved.district : "") || "";
+  // links from the dashboard carry the API's upper-case spelling
+  const known = resolveDistrict(typed, { stateName: state.name }).match;
+  const district = known ? known.name : typed;
+  const [rationCard, setRationCard] = useState(RATION_CARDS.includes(saved.rationCard) ? saved.rationCard : "unknown");
+  const [householdSize, setHouseholdSize] = useState(() => clampHouseholdSize(saved.householdSize));
+
+  const [result, setResult] = useState({ loading: false, error: null, benchmark: null, year: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!district) return;
+    const controller = new AbortController();
+    setResult({ loading: true, error: null, benchmark: null, year: null });
+    (async () => {
+      try {
+        for (const finYear of YEARS_TO_TRY) {
+          const { rows } = await fetchYear({ stateName: state.name, finYear, signal: controller.signal, force: attempt > 0 });
+          const benchmark = districtBenchmark(rows, district);
+          if (benchmark) return setResult({ loading: false, error: null, benchmark, year: finYear });
+        }
+        setResult({ loading: false, error: null, benchmark: null, year: null });
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setResult({ loading: false, error: toAppError(err), benchmark: null, year: null });
+      }
+    })();
+    return () => controller.abort();
+  }, [state.name, district, attempt]);
+
+  const setView = (patch) => updateView(patch, { replace: true });
+
+  const chooseCard = (card) => {
+    setRationCard(card);
+    saveOnboarding({ rationCard: card });
+  };
+  const changeSize = (n) => {
+    const next = clampHouseholdSize(n);
+    setHouseholdSize(next);
+    saveOnboarding({ householdSize: next });
+  };
+
+  const rupees = (n) => `₹${fmt(n, { maximumFractionDigits: 0 })}`;
+  const { benchmark } = result;
+  // the input may be empty while the user types a new number
+  const size = clampHouseholdSize(householdSize);
+  const estimate = benchmark && estimateEntitlement({ ...benchmark, householdSize: size, rationCard });
+  const stateLabel = t(`state.${state.code}`);
+
+  return (
+    <div className="min-h-screen flex flex-col items-center bg-green-50 py-10 px-4">
+      <h1 className="text-3xl font-bold text-center text-green-900">{t("entitle.title")}</h1>
+      <p className="text-lg text-center text-gray-700 mt-2 max-w-2xl">{t("entitle.intro", { days: GUARANTEED_DAYS })}</p>
+
+      {/* Household */}
+      <div className="w-full max-w-3xl bg-white rounded-2xl shadow mt-6 p-5 flex flex-col gap-5">
+        <div className="flex flex-col sm:flex-row gap-4">
+          <label className="flex-1 text-lg">
+            <span className="block mb-1 font-semibold">{t("filters.state")}</span>
+            <select
+              value={state.code}
+              onChange={(e) => setView({ state: e.target.value, district: null })}
+              className="w-full border rounded-lg px-3 py-2"
+            >
+              {STATES.map((s) => (
+                <option key={s.code} value={s.code}>
+                  {t(`state.${s.code}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex-1 text-lg">
+            <span className="block mb-1 font-semibold">{t("filters.district")}</span>
+            <select
+              value={known ? known.name : ""}
+              onChange={(e) => setView({ state: state.code, district: e.target.value })}
+              className="w-full border rounded-lg px-3 py-2"
+            >
+              <option value="">{t("entitle.chooseDistrict")}</option>
+              {state.districts.map((d) => (
+                <option key={d} value={d}>
+                  {d}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <fieldset>
+          <legend className="text-lg font-semibold mb-2">{t("wizard.ration.title")}</legend>
+          <div className="flex flex-wrap gap-3">
+            {RATION_CARDS.map((card) => (
+              <button
+                key={card}
+                type="button"
+                onClick={() => chooseCard(card)}
+                aria-pressed={rationCard === card}
+                className={`flex items-center gap-2 rounded-xl px-4 py-2 text-lg border-2 ${
+                  rationCard === card ? "border-green-700 bg-green-100" : "border-gray-300 bg-white"
+                }`}
+              >
+                <span
+                  aria-hidden="true"
+                  className="swatch w-6 h-4 rounded border border-gray-400"
+                  style={{ background: RATION_CARD_SWATCHES[card] ?? "repeating-linear-gradient(45deg,#eee,#eee 3px,#fff 3px,#fff 6px)" }}
+                />
+                {t(`wizard.ration.${card}`)}
+              </button>
+            ))}
+          </div>
+        </fieldset>
+
+        <div>
+          <label htmlFor="household-size" className="block text-lg font-semibold mb-2">
+            {t("entitle.householdSize")}
+          </label>
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={() => changeSize(size - 1)}
+              disabled={size <= HOUSEHOLD_SIZE.min}
+              aria-label={t("entitle.fewer")}
+              className="w-12 h-12 rounded-full bg-green-700 text-white text-2xl disabled:opacity-40"
+            >
+              −
+            </button>
+            <input
+              id="household-size"
+              type="number"
+              min={HOUSEHOLD_SIZE.min}
+              max={HOUSEHOLD_SIZE.max}
+              value={householdSize}
+              onChange={(e) => (e.target.value === "" ? setHouseholdSize("") : changeSize(e.target.value))}
+              onBlur={() => changeSize(size)}
+              className="w-20 text-center text-2xl border rounded-lg py-2"
+            />
+            <button
+              type="button"
+              onClick={() => changeSize(size + 1)}
+              disabled={size >= HOUSEHOLD_SIZE.max}
+              aria-label={t("entitle.more")}
+              className="w-12 h-12 rounded-full bg-green-700 text-white text-2xl disabled:opacity-40"
+            >
+              +
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Result */}
+      <div className="w-full max-w-3xl mt-6" aria-live="polite">
+        {!district ? (
+          <p className="text-center text-lg text-gray-700">{t("entitle.pickDistrict")}</p>
+        ) : result.loading ? (
+          <p role="status" className="text-center text-lg">{t("status.loading")}</p>
+        ) : result.error ? (
+          <ErrorState error={result.error} view="entitlement" onRetry={() => setAttempt((a) => a + 1)} />
+        ) : !estimate ? (
+          <p className="text-center text-lg text-gray-700">{t("entitle.noFigures", { district })}</p>
+        ) : (
+          <div className="flex flex-col gap-4">
+            <section className="bg-white rounded-2xl shadow p-5">
+              <h2 className="text-xl font-semibold text-green-900">{t("entitle.rightTitle")}</h2>
+              <p className="text-4xl font-bold text-green-800 my-2">{t("entitle.days", { days: GUARANTEED_DAYS })}</p>
+              <p className="text-lg">
+                {t("entitle.fullIncome", {
+                  district: benchmark.district,
+                  wage: rupees(benchmark.wageRate),
+                  income: rupees(estimate.fullIncome),
+                })}
+              </p>
+              {size > 1 && (
+                <p className="text-lg text-gray-700 mt-1">
+                  {t("entitle.share", { n: fmt(size), amount: rupees(estimate.householdShare) })}
+                </p>
+              )}
+              <p className="text-lg text-gray-700 mt-1">
+                {t(estimate.priority ? "entitle.cardPriority" : "entitle.cardSame")}
+              </p>
+            </section>
+
+            <section className="bg-white rounded-2xl shadow p-5">
+              <h2 className="text-xl font-semibold text-green-900">{t("entitle.realityTitle", { district: benchmark.district })}</h2>
+              <p className="text-lg mt-2">
+                {t("entitle.avgDays", {
+                  days: fmt(estimate.expectedDays, { maximumFractionDigits: 0 }),
+                  pct: fmt(estimate.deliveredPct),
+                  total: GUARANTEED_DAYS,
+                })}
+              </p>
+              <progress
+                value={estimate.expectedDays}
+                max={GUARANTEED_DAYS}
+                aria-label={t("entitle.progressLabel")}
+                className="w-full h-4 my-3"
+              />
+              <p className="text-lg">
+                {t("entitle.expectedIncome", { income: rupees(estimate.expectedIncome) })}
+                {estimate.shortfall > 0 && <> {t("entitle.shortfall", { amount: rupees(estimate.shortfall) })}</>}
+              </p>
+              <p className="text-lg text-gray-700 mt-2">
+                {t(
+                  benchmark.avgDays >= benchmark.stateDays ? "entitle.aboveState" : "entitle.belowState",
+                  { state: stateLabel, days: fmt(benchmark.stateDays, { maximumFractionDigits: 0 }) }
+                )}
+              </p>
+            </section>
+
+            <section className="bg-white rounded-2xl shadow p-5 text-lg">
+              <h2 className="text-xl font-semibold text-green-900">{t("entitle.cardTitle")}</h2>
+              <p className="mt-2">{t(RATION_CARD_NOTES[rationCard])}</p>
+              <p className="mt-2">{t("entitle.askPanchayat")}</p>
+            </section>
+
+            <p className="text-sm text-gray-600 text-center">{t("entitle.source", { year: result.year })}</p>
+          </div>
+        )}
+      </div>
+
+      <Link
+        to={`/?state=${state.code}${district ? `&district=${encodeURIComponent(district)}` : ""}`}
+        className="mt-6 text-blue-600 underline"
+      >
+        {t("entitle.toDashboard")}
+      </Link>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+// src/pages/Entitlement/Entitlement.test.jsx
+import { beforeEach, describe, expect, it } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter } from "react-router-dom";
+import I18nProvider from "../../i18n/I18nProvider";
+import Entitlement from "./Entitlement";
+import { mockFetch } from "../../test/mockFetch";
+import year2023 from "../../test/fixtures/backend-tamilnadu-2023-2024.json";
+import year2024 from "../../test/fixtures/backend-tamilnadu-2024-2025.json";
+
+const YEARS = { "2023-2024": year2023, "2024-2025": year2024 };
+
+const renderPage = (entry) =>
+  render(
+    <I18nProvider>
+      <MemoryRouter initialEntries={[entry]}>
+        <Entitlement />
+      </MemoryRouter>
+    </I18nProvider>
+  );
+
+beforeEach(() => {
+  localStorage.setItem("mgnrega.locale", "en");
+  mockFetch((url) => YEARS[url.searchParams.get("fin_year")] ?? { data: [] });
+});
+
+describe("Entitlement", () => {
+  it("prices the 100 days at the district's latest wage", async () => {
+    renderPage("/entitlement?state=tn&district=MADURAI");
+    // 2024-2025: ₹320 a day, 8 days per household
+    expect(await screen.findByText(/up to ₹32,000 a year/)).toBeInTheDocument();
+    expect(screen.getByText(/about 8 days of work — 8% of the 100 days/)).toBeInTheDocument();
+    expect(screen.getByText(/₹29,440 less than the full 100 days/)).toBeInTheDocument();
+    expect(screen.getByText(/Shared between 4 people, that is about ₹8,000 each/)).toBeInTheDocument();
+    expect(screen.getByRole("combobox", { name: "District:" })).toHaveValue("Madurai");
+  });
+
+  it("falls back to the previous year when the latest has no figures", async () => {
+    renderPage("/entitlement?state=tn&district=Salem");
+    expect(await screen.findByText(/up to ₹30,000 a year/)).toBeInTheDocument();
+    expect(screen.getByText(/Estimate from 2023-2024 figures/)).toBeInTheDocument();
+  });
+
+  it("remembers the household size and ration card", async () => {
+    const user = userEvent.setup();
+    renderPage("/entitlement?state=tn&district=Madurai");
+    await screen.findByText(/up to ₹32,000 a year/);
+
+    await user.click(screen.getByRole("button", { name: "One person more" }));
+    expect(screen.getByText(/Shared between 5 people, that is about ₹6,400 each/)).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "White" }));
+    expect(screen.getByRole("button", { name: "White" })).toHaveAttribute("aria-pressed", "true");
+    expect(screen.getByText(/a white card makes no difference/)).toBeInTheDocument();
+    expect(screen.getByText(/Your ration card does not change these figures/)).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Green" }));
+    expect(screen.getByText(/you can ask for some of these days to be spent on work on your own land/)).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem("mgnrega.onboarding"))).toMatchObject({ householdSize: 5, rationCard: "green" });
+  });
+
+  it("asks for a district first", () => {
+    renderPage("/entitlement?state=tn");
+    expect(screen.getByText("Choose your district to see the amounts.")).toBeInTheDocument();
+  });
+});
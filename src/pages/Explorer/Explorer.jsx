@@ -0,0 +1,19 @@
+import { Link } from "react-router-dom";
+import MgnregaData from "../../components/MgnregaData";
+import { useI18n } from "../../i18n";
+
+// Monthly records for any state, paged straight from data.gov.in.
+export default function Explorer() {
+  const { t } = useI18n();
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-6">
+      <div className="max-w-6xl mx-auto px-6">
+        <Link to="/" className="text-blue-600 underline">
+          {t("explorer.toDashboard")}
+        </Link>
+      </div>
+      <MgnregaData />
+    </div>
+  );
+}
@@ -1,22 +1,32 @@
 import { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
+import { authErrorKey, useAuth } from "../../context/auth";
+import { useI18n } from "../../i18n";
 
 export default function Login() {
   const navigate = useNavigate();
+  const location = useLocation();
+  const { sendCode } = useAuth();
+  const { t } = useI18n();
   const [mobile, setMobile] = useState("");
-  const [generatedOtp, setGeneratedOtp] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
 
-  const sendOTP = (e) => {
+  const sendOTP = async (e) => {
     e.preventDefault();
+    setError("");
+    setSending(true);
 
-    // Generate random 4-digit OTP
-    const otp = Math.floor(1000 + Math.random() * 9000);
-    setGeneratedOtp(otp);
-
-    alert(`Your OTP (for testing): ${otp}`);
-
-    // Navigate with OTP & mobile number
-    navigate("/otp", { state: { mobile, otp } });
+    try {
+      await sendCode(`+91${mobile}`);
+      // Keep where the user was heading so OTP can send them back there
+      navigate("/otp", { state: { mobile, from: location.state?.from } });
+    } catch (err) {
+      console.error("sendCode error:", err);
+      setError(t(authErrorKey(err)));
+    } finally {
+      setSending(false);
+    }
   };
 
   return (
@@ -26,15 +36,15 @@ export default function Login() {
         className="bg-white p-6 rounded-lg shadow-md w-80 space-y-4"
       >
         <h2 className="text-2xl font-bold text-center text-blue-600">
-          Welcome 👋
+          {t("login.welcome")}
         </h2>
         <p className="text-sm text-center text-gray-600">
-          Enter your mobile number to continue
+          {t("login.prompt")}
         </p>
 
         <input
           type="tel"
-          placeholder="10-digit Mobile Number"
+          placeholder={t("login.mobilePlaceholder")}
           value={mobile}
           onChange={(e) => setMobile(e.target.value)}
           className="w-full p-2 border rounded"
@@ -42,11 +52,14 @@ export default function Login() {
           pattern="[0-9]{10}"
         />
 
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
         <button
           type="submit"
-          className="w-full bg-blue-500 text-white py-2 rounded hover:bg-blue-600"
+          disabled={sending}
+          className="w-full bg-blue-500 text-white py-2 rounded hover:bg-blue-600 disabled:opacity-60"
         >
-          Send OTP
+          {sending ? t("login.sending") : t("login.send")}
         </button>
       </form>
     </div>
@@ -0,0 +1,16 @@
+import { Link } from "react-router-dom";
+import { useI18n } from "../../i18n";
+
+export default function NotFound() {
+  const { t } = useI18n();
+
+  return (
+    <div className="h-screen flex flex-col items-center justify-center bg-gray-100 gap-3">
+      <h1 className="text-5xl font-bold text-blue-900">404</h1>
+      <p className="text-lg text-gray-700">{t("notFound.message")}</p>
+      <Link to="/" className="text-blue-600 underline">
+        {t("notFound.back")}
+      </Link>
+    </div>
+  );
+}
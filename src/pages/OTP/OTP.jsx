@@ -1,31 +1,72 @@
-import { useLocation, useNavigate } from "react-router-dom";
-import { useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { useEffect, useState } from "react";
+import { authErrorKey, useAuth, CODE_TTL_MS, RESEND_COOLDOWN_MS } from "../../context/auth";
+import { useI18n } from "../../i18n";
+import { loadOnboarding } from "../../utils/onboarding";
 
 export default function OTP() {
   const location = useLocation();
   const navigate = useNavigate();
+  const { pending, sendCode, verifyCode } = useAuth();
+  const { t } = useI18n();
 
-  const { mobile, otp } = location.state || {}; // OTP & mobile from previous page
+  const { mobile, from } = location.state || {}; // mobile from previous page
   const [enteredOtp, setEnteredOtp] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
 
-  if (!mobile || !otp) {
+  // tick once a second for the expiry and resend countdowns
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  if (!mobile || !pending) {
     return (
-      <div className="h-screen flex items-center justify-center bg-red-100">
+      <div className="h-screen flex flex-col items-center justify-center bg-red-100 gap-3">
         <h2 className="text-xl text-red-600 font-bold">
-          ❌ Invalid Access. Go back to Login.
+          {t("otp.invalidAccess")}
         </h2>
+        <Link to="/login" className="text-blue-600 underline">
+          {t("otp.goToLogin")}
+        </Link>
       </div>
     );
   }
 
-  const verifyOtp = (e) => {
+  const elapsed = now - pending.sentAt;
+  const expired = elapsed > CODE_TTL_MS;
+  const resendIn = Math.max(0, Math.ceil((RESEND_COOLDOWN_MS - elapsed) / 1000));
+  const expiresIn = Math.max(0, Math.ceil((CODE_TTL_MS - elapsed) / 1000));
+
+  const verifyOtp = async (e) => {
     e.preventDefault();
+    setError("");
+    setBusy(true);
+
+    try {
+      await verifyCode(enteredOtp.trim());
+      // first-time users go through the voice wizard
+      const fallback = loadOnboarding().completedAt ? "/district" : "/welcome";
+      navigate(from?.pathname ? `${from.pathname}${from.search || ""}` : fallback, { replace: true });
+    } catch (err) {
+      setError(t(authErrorKey(err)));
+    } finally {
+      setBusy(false);
+    }
+  };
 
-    if (Number(enteredOtp) === otp) {
-      alert("✅ OTP Verified Successfully!");
-      navigate("/district");
-    } else {
-      alert("❌ Wrong OTP! Try Again.");
+  const resend = async () => {
+    setError("");
+    setEnteredOtp("");
+    setBusy(true);
+    try {
+      await sendCode(pending.phone);
+    } catch (err) {
+      setError(t(authErrorKey(err)));
+    } finally {
+      setBusy(false);
     }
   };
 
@@ -36,26 +77,49 @@ export default function OTP() {
         className="bg-white p-6 rounded-lg shadow-md w-80 space-y-4"
       >
         <h2 className="text-2xl font-bold text-center text-blue-600">
-          Verify OTP
+          {t("otp.title")}
         </h2>
         <p className="text-sm text-center text-gray-600">
-          OTP sent to: <strong>{mobile}</strong>
+          {t("otp.sentTo")} <strong>{mobile}</strong>
         </p>
 
         <input
-          type="number"
-          placeholder="Enter OTP"
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="[0-9]{6}"
+          maxLength={6}
+          placeholder={t("otp.placeholder")}
           value={enteredOtp}
           onChange={(e) => setEnteredOtp(e.target.value)}
           className="w-full p-2 border rounded"
           required
+          disabled={expired}
         />
 
+        <p className="text-xs text-center text-gray-500">
+          {expired
+            ? t("otp.expired")
+            : t("otp.expiresIn", { time: `${Math.floor(expiresIn / 60)}:${String(expiresIn % 60).padStart(2, "0")}` })}
+        </p>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
         <button
           type="submit"
-          className="w-full bg-green-500 text-white py-2 rounded hover:bg-green-600"
+          disabled={busy || expired}
+          className="w-full bg-green-500 text-white py-2 rounded hover:bg-green-600 disabled:opacity-60"
+        >
+          {busy ? t("otp.wait") : t("otp.verify")}
+        </button>
+
+        <button
+          type="button"
+          onClick={resend}
+          disabled={busy || resendIn > 0}
+          className="w-full text-sm text-blue-600 disabled:text-gray-400"
         >
-          Verify OTP
+          {resendIn > 0 ? t("otp.resendIn", { seconds: resendIn }) : t("otp.resend")}
         </button>
       </form>
     </div>
@@ -0,0 +1,41 @@
+import { Navigate, useNavigate } from "react-router-dom";
+import WizardStep from "./WizardStep";
+import selectDistrictAudio from "../../assets/audio/select_district.mp3";
+import { findState } from "../../config/states";
+import { loadOnboarding, saveOnboarding } from "../../utils/onboarding";
+import { useI18n } from "../../i18n";
+
+export default function DistrictSelect() {
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const saved = loadOnboarding();
+  const state = findState(saved.state);
+
+  const choose = (district) => {
+    saveOnboarding({ state: state.code, district });
+    navigate("/welcome/ration-card");
+  };
+
+  // the districts listed depend on the state step's answer
+  if (!state) return <Navigate to="/welcome/state" replace />;
+
+  return (
+    <WizardStep step={3} title={t("wizard.district.title")} audio={selectDistrictAudio} back="/welcome/state">
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+        {state.districts.map((d) => (
+          <button
+            key={d}
+            type="button"
+            onClick={() => choose(d)}
+            className={`flex flex-col items-center gap-2 rounded-2xl shadow px-3 py-5 text-lg font-semibold ${
+              saved.district === d ? "bg-green-700 text-white" : "bg-white text-green-900 hover:bg-green-100"
+            }`}
+          >
+            <span className="text-4xl" aria-hidden="true">📍</span>
+            {d}
+          </button>
+        ))}
+      </div>
+    </WizardStep>
+  );
+}
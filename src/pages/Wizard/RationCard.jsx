@@ -0,0 +1,71 @@
+import { useNavigate } from "react-router-dom";
+import WizardStep from "./WizardStep";
+import useAudioPrompt from "../../hooks/useAudioPrompt";
+import rationQuestionAudio from "../../assets/audio/ration_question.mp3";
+import greenAudio from "../../assets/audio/green.mp3";
+import yellowAudio from "../../assets/audio/yellow.mp3";
+import whiteAudio from "../../assets/audio/white.mp3";
+import dontKnowAudio from "../../assets/audio/dont_know.mp3";
+import { RATION_CARD_SWATCHES, loadOnboarding, saveOnboarding } from "../../utils/onboarding";
+import { useI18n } from "../../i18n";
+
+const CARDS = [
+  { value: "green", label: "wizard.ration.green", swatch: RATION_CARD_SWATCHES.green, audio: greenAudio },
+  { value: "yellow", label: "wizard.ration.yellow", swatch: RATION_CARD_SWATCHES.yellow, audio: yellowAudio },
+  { value: "white", label: "wizard.ration.white", swatch: RATION_CARD_SWATCHES.white, audio: whiteAudio },
+];
+
+export default function RationCard() {
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const saved = loadOnboarding();
+  // a second player so hovering a card does not cut off the question prompt
+  const { play: sayChoice } = useAudioPrompt(null);
+
+  const finish = (rationCard) => {
+    const answers = saveOnboarding({ rationCard, completedAt: Date.now() });
+    const search = answers.state ? `?state=${answers.state}` : "";
+    navigate(answers.district ? `/district/${encodeURIComponent(answers.district)}${search}` : `/${search}`);
+  };
+
+  return (
+    <WizardStep step={4} title={t("wizard.ration.title")} audio={rationQuestionAudio} back="/welcome/district">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {CARDS.map((c) => (
+          <button
+            key={c.value}
+            type="button"
+            onFocus={() => sayChoice(c.audio)}
+            onMouseEnter={() => sayChoice(c.audio)}
+            onClick={() => finish(c.value)}
+            className={`flex flex-col items-center gap-3 rounded-2xl shadow-lg px-4 py-6 text-xl font-semibold bg-white hover:bg-green-50 ${
+              saved.rationCard === c.value ? "ring-4 ring-green-700" : ""
+            }`}
+          >
+            <span
+              aria-hidden="true"
+              className="swatch w-28 h-20 rounded-lg border-2 border-gray-400 flex items-center justify-center text-4xl"
+              style={{ background: c.swatch }}
+            >
+              🪪
+            </span>
+            {t(c.label)}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex justify-center mt-6">
+        <button
+          type="button"
+          onFocus={() => sayChoice(dontKnowAudio)}
+          onMouseEnter={() => sayChoice(dontKnowAudio)}
+          onClick={() => finish("unknown")}
+          className="flex items-center gap-3 rounded-2xl shadow px-8 py-4 text-xl font-semibold bg-gray-100 hover:bg-gray-200"
+        >
+          <span className="text-4xl" aria-hidden="true">❓</span>
+          {t("wizard.ration.unknown")}
+        </button>
+      </div>
+    </WizardStep>
+  );
+}
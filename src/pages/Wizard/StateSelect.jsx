@@ -0,0 +1,41 @@
+import { useNavigate } from "react-router-dom";
+import WizardStep from "./WizardStep";
+import { STATES, hasEmblem } from "../../config/states";
+import { loadOnboarding, saveOnboarding } from "../../utils/onboarding";
+import { useI18n } from "../../i18n";
+
+export default function StateSelect() {
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const saved = loadOnboarding();
+
+  const choose = (code) => {
+    // a district picked for another state doesn't carry over
+    saveOnboarding(code === saved.state ? { state: code } : { state: code, district: null });
+    navigate("/welcome/district");
+  };
+
+  return (
+    <WizardStep step={2} title={t("wizard.state.title")} back="/welcome">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {STATES.map((s) => (
+          <button
+            key={s.code}
+            type="button"
+            onClick={() => choose(s.code)}
+            className={`flex flex-col items-center gap-3 rounded-2xl shadow px-4 py-6 text-xl font-semibold ${
+              saved.state === s.code ? "bg-green-700 text-white" : "bg-white text-green-900 hover:bg-green-100"
+            }`}
+          >
+            {hasEmblem(s) ? (
+              <img src={s.emblem} alt="" className="w-20 h-20 object-contain" />
+            ) : (
+              <span className="text-6xl" aria-hidden="true">🗺️</span>
+            )}
+            {t(`state.${s.code}`)}
+          </button>
+        ))}
+      </div>
+    </WizardStep>
+  );
+}
@@ -0,0 +1,40 @@
+import { useNavigate } from "react-router-dom";
+import WizardStep from "./WizardStep";
+import welcomeAudio from "../../assets/audio/welcome.mp3";
+import { LOCALES, useI18n } from "../../i18n";
+
+export default function Welcome() {
+  const navigate = useNavigate();
+  const { t, locale, setLocale } = useI18n();
+
+  return (
+    <WizardStep step={1} title={t("wizard.welcome.title")} subtitle={t("wizard.welcome.subtitle")} audio={welcomeAudio}>
+      <p className="text-center text-lg text-gray-700 mb-3">{t("wizard.language")}</p>
+      <div className="flex flex-wrap justify-center gap-3 mb-8">
+        {LOCALES.map((l) => (
+          <button
+            key={l.code}
+            type="button"
+            onClick={() => setLocale(l.code)}
+            className={`rounded-xl px-5 py-3 text-xl font-semibold shadow ${
+              locale === l.code ? "bg-green-700 text-white" : "bg-white text-green-900 hover:bg-green-100"
+            }`}
+          >
+            {l.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex justify-center">
+        <button
+          type="button"
+          onClick={() => navigate("/welcome/state")}
+          className="flex flex-col items-center gap-3 bg-white rounded-2xl shadow-lg px-12 py-8 hover:bg-green-100"
+        >
+          <span className="text-7xl" aria-hidden="true">👉</span>
+          <span className="text-2xl font-semibold text-green-900">{t("wizard.start")}</span>
+        </button>
+      </div>
+    </WizardStep>
+  );
+}
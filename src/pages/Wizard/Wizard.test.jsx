@@ -0,0 +1,64 @@
+// src/pages/Wizard/Wizard.test.jsx
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+import I18nProvider from "../../i18n/I18nProvider";
+import Welcome from "./Welcome";
+import StateSelect from "./StateSelect";
+import DistrictSelect from "./DistrictSelect";
+import { loadOnboarding, saveOnboarding } from "../../utils/onboarding";
+
+const renderWizard = (entry) =>
+  render(
+    <I18nProvider>
+      <MemoryRouter initialEntries={[entry]}>
+        <Routes>
+          <Route path="/welcome" element={<Welcome />} />
+          <Route path="/welcome/state" element={<StateSelect />} />
+          <Route path="/welcome/district" element={<DistrictSelect />} />
+        </Routes>
+      </MemoryRouter>
+    </I18nProvider>
+  );
+
+beforeEach(() => {
+  localStorage.setItem("mgnrega.locale", "en");
+  // jsdom has no media playback
+  vi.stubGlobal(
+    "Audio",
+    class {
+      play = () => Promise.resolve();
+      pause = () => {};
+    }
+  );
+});
+
+describe("onboarding wizard", () => {
+  it("asks for the state before listing its districts", async () => {
+    const user = userEvent.setup();
+    renderWizard("/welcome");
+
+    await user.click(screen.getByRole("button", { name: "Start" }));
+    expect(screen.getByRole("heading", { name: "Your state" })).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Karnataka" }));
+
+    expect(screen.getByRole("heading", { name: "Your district" })).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Belagavi" })).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Madurai" })).not.toBeInTheDocument();
+    expect(loadOnboarding().state).toBe("ka");
+  });
+
+  it("sends the district step back to the state step when no state was chosen", () => {
+    renderWizard("/welcome/district");
+    expect(screen.getByRole("heading", { name: "Your state" })).toBeInTheDocument();
+  });
+
+  it("drops a district picked for another state", async () => {
+    const user = userEvent.setup();
+    saveOnboarding({ state: "tn", district: "Madurai" });
+    renderWizard("/welcome/state");
+    await user.click(screen.getByRole("button", { name: "Andhra Pradesh" }));
+    expect(loadOnboarding()).toMatchObject({ state: "ap", district: null });
+  });
+});
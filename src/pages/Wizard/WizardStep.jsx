@@ -0,0 +1,55 @@
+import { useNavigate } from "react-router-dom";
+import useAudioPrompt from "../../hooks/useAudioPrompt";
+import { useI18n } from "../../i18n";
+
+const STEPS = 4;
+
+// Shared frame for wizard steps: big title, replay button (for steps with a
+// voice prompt) and step dots.
+export default function WizardStep({ step, title, subtitle, audio, back, children }) {
+  const navigate = useNavigate();
+  const { play, playing } = useAudioPrompt(audio);
+  const { t } = useI18n();
+
+  return (
+    <div className="min-h-screen flex flex-col items-center bg-green-50 px-4 py-8">
+      <div className="flex gap-2 mb-6" aria-label={t("wizard.step", { step, total: STEPS })}>
+        {Array.from({ length: STEPS }, (_, i) => (
+          <span
+            key={i}
+            className={`w-4 h-4 rounded-full ${i < step ? "bg-green-700" : "bg-green-200"}`}
+          />
+        ))}
+      </div>
+
+      <h1 className="text-3xl font-bold text-center text-green-900">{title}</h1>
+      {subtitle && <p className="text-xl text-center text-gray-700 mt-2">{subtitle}</p>}
+
+      {audio && (
+        <button
+          type="button"
+          onClick={() => play()}
+          className={`mt-4 flex items-center gap-2 rounded-full px-6 py-3 text-lg text-white ${
+            playing ? "bg-green-500" : "bg-green-700"
+          }`}
+          aria-label={t("wizard.replayLabel")}
+        >
+          <span className="text-3xl" aria-hidden="true">🔊</span>
+          {playing ? t("wizard.playing") : t("wizard.listenAgain")}
+        </button>
+      )}
+
+      <div className="w-full max-w-3xl mt-8">{children}</div>
+
+      {back && (
+        <button
+          type="button"
+          onClick={() => navigate(back)}
+          className="mt-8 text-lg text-green-800 underline"
+        >
+          {t("wizard.back")}
+        </button>
+      )}
+    </div>
+  );
+}
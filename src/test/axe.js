@@ -0,0 +1,10 @@
+// src/test/axe.js
+// axe-core run against the rendered DOM. jsdom has no layout or paint, so
+// the colour-contrast rule can't be evaluated here (checked by hand instead).
+import { configureAxe } from "vitest-axe";
+
+export const axe = configureAxe({
+  rules: {
+    "color-contrast": { enabled: false },
+  },
+});
@@ -0,0 +1,22 @@
+// src/test/mockFetch.js
+// Replaces global fetch with a function that answers from `handler(url)`.
+// The handler returns a JSON body, or a Response for errors; every call is
+// recorded on the returned mock, so tests can inspect the query strings.
+import { vi } from "vitest";
+
+export const jsonResponse = (body, init = {}) =>
+  new Response(JSON.stringify(body), { status: 200, headers: { "Content-Type": "application/json" }, ...init });
+
+export const mockFetch = (handler) => {
+  const fetch = vi.fn(async (input, { signal } = {}) => {
+    if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+    const url = new URL(String(input), "http://localhost");
+    const result = await handler(url);
+    return result instanceof Response ? result : jsonResponse(result);
+  });
+  vi.stubGlobal("fetch", fetch);
+  return fetch;
+};
+
+// the query parameters of every call so far
+export const fetchedParams = (fetch) => fetch.mock.calls.map(([input]) => new URL(String(input), "http://localhost").searchParams);
@@ -0,0 +1,25 @@
+// src/test/setup.js
+// Shared set-up for every test file (see vite.config.js → test).
+import "@testing-library/jest-dom/vitest";
+import { afterEach, expect, vi } from "vitest";
+import * as axeMatchers from "vitest-axe/matchers";
+import { cleanup } from "@testing-library/react";
+import { clearMemoryCache } from "../utils/cache";
+
+// expect(await axe(node)).toHaveNoViolations() — see test/axe.js
+expect.extend(axeMatchers);
+
+// Recharts' ResponsiveContainer measures its parent; jsdom can't.
+globalThis.ResizeObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  clearMemoryCache();
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
@@ -0,0 +1,110 @@
+// src/utils/aggregate.js
+// Roll-up rules for every numeric metric in a normalised record. The source
+// only publishes year-to-date figures, so there is no monthly-flow kind.
+//
+//   ytd  – cumulative year-to-date figure: the latest month of a financial
+//          year is the year's value; years and districts are then summed.
+//   wavg – an average that is itself year-to-date: the latest month of a
+//          year is used, and years/districts are combined as an average
+//          weighted by households worked.
+import { sortByPeriod } from "./period";
+
+const WEIGHT_KEY = "Total_Households_Worked";
+
+export const METRICS = {
+  Approved_Labour_Budget: { kind: "ytd" },
+  Average_Wage_rate_per_day_per_person: { kind: "wavg" },
+  Average_days_of_employment_provided_per_Household: { kind: "wavg" },
+  Total_Households_Worked: { kind: "ytd" },
+  Total_Individuals_Worked: { kind: "ytd" },
+  Persondays: { kind: "ytd" },
+  Total_Exp: { kind: "ytd" },
+  Wages: { kind: "ytd" },
+};
+
+const METRIC_KEYS = Object.keys(METRICS);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Collapse the monthly rows of one district and one financial year: every
+// metric is year-to-date, so the latest month already holds the year.
+export const rollupYear = (rows) => {
+  const ordered = sortByPeriod(rows);
+  return { ...ordered[ordered.length - 1] };
+};
+
+// Combine already rolled-up records (several years, or several districts).
+export const combine = (records) => {
+  const out = { ...records[0] };
+  const totalWeight = records.reduce((s, r) => s + r[WEIGHT_KEY], 0);
+  for (const key of METRIC_KEYS) {
+    if (METRICS[key].kind === "wavg") {
+      out[key] = totalWeight
+        ? round2(records.reduce((s, r) => s + r[key] * r[WEIGHT_KEY], 0) / totalWeight)
+        : round2(records.reduce((s, r) => s + r[key], 0) / records.length);
+    } else {
+      out[key] = records.reduce((s, r) => s + r[key], 0);
+    }
+  }
+  return out;
+};
+
+const groupBy = (rows, keyFn) =>
+  rows.reduce((acc, r) => {
+    const k = keyFn(r);
+    (acc[k] = acc[k] || []).push(r);
+    return acc;
+  }, {});
+
+// Monthly rows → one record per district, keeping the monthly rows for trends.
+export const aggregateDistricts = (rows) =>
+  Object.values(groupBy(rows, (r) => r.district_name)).map((districtRows) => {
+    const years = Object.values(groupBy(districtRows, (r) => r.fin_year)).map(rollupYear);
+    const months = [...new Set(sortByPeriod(districtRows).map((r) => r.month))];
+    return {
+      ...combine(years),
+      fin_years: years.map((y) => y.fin_year).sort(),
+      months,
+      rows: districtRows,
+    };
+  });
+
+// District records → state-level totals, using the same rules.
+export const aggregateTotals = (districts) => {
+  const combined = districts.length ? combine(districts) : {};
+  return Object.fromEntries(METRIC_KEYS.map((k) => [k, combined[k] ?? 0]));
+};
+
+// Benchmark for one district: totals spread evenly over the districts,
+// averages kept as the household-weighted state figure.
+export const stateAverage = (districts) => {
+  const totals = aggregateTotals(districts);
+  const n = districts.length || 1;
+  return Object.fromEntries(
+    METRIC_KEYS.map((k) => [k, METRICS[k].kind === "wavg" ? totals[k] : totals[k] / n])
+  );
+};
+
+// Normalised monthly rows → districts, largest expenditure first, plus the
+// headline figures. Rows without a district name are dropped; `district`
+// narrows the result to names containing it.
+export const summarise = (rows, district = "") => {
+  const q = String(district || "").trim().toUpperCase();
+  const districts = aggregateDistricts(rows.filter((r) => r.district_name))
+    .filter((d) => !q || d.district_name.includes(q))
+    .sort((a, b) => b.Total_Exp - a.Total_Exp);
+  const totals = aggregateTotals(districts);
+  const n = districts.length;
+  return {
+    districts,
+    insights: {
+      totalHouseholds: totals.Total_Households_Worked,
+      totalPersondays: totals.Persondays,
+      totalExpenditure: totals.Total_Exp,
+      avgWageRate: totals.Average_Wage_rate_per_day_per_person,
+      avgHouseholds: n ? Math.round(totals.Total_Households_Worked / n) : 0,
+      topDistrict: n ? districts[0].district_display : null,
+      lowDistrict: n ? districts[n - 1].district_display : null,
+    },
+  };
+};
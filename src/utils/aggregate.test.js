@@ -0,0 +1,73 @@
+// src/utils/aggregate.test.js
+import { describe, expect, it } from "vitest";
+import { fromBackendRow } from "../api/records";
+import { aggregateTotals, stateAverage, summarise } from "./aggregate";
+import year2023 from "../test/fixtures/backend-tamilnadu-2023-2024.json";
+import year2024 from "../test/fixtures/backend-tamilnadu-2024-2025.json";
+
+const rows2023 = year2023.data.map((r) => fromBackendRow(r));
+const rows2024 = year2024.data.map((r) => fromBackendRow(r));
+
+describe("summarise", () => {
+  it("merges mixed-case spellings of a district and drops nameless rows", () => {
+    const { districts } = summarise(rows2023);
+    expect(districts.map((d) => d.district_name)).toEqual(["SALEM", "MADURAI", "THE NILGIRIS"]);
+    expect(districts[1].rows).toHaveLength(2);
+  });
+
+  it("takes the latest month of a year for year-to-date figures", () => {
+    const madurai = summarise(rows2023).districts.find((d) => d.district_name === "MADURAI");
+    expect(madurai.Total_Households_Worked).toBe(15000);
+    expect(madurai.Total_Exp).toBe(2500.75);
+    expect(madurai.Average_Wage_rate_per_day_per_person).toBe(310);
+    expect(madurai.months).toEqual(["Apr", "May"]);
+  });
+
+  it("adds years together and weights averages by households", () => {
+    const madurai = summarise([...rows2023, ...rows2024]).districts.find((d) => d.district_name === "MADURAI");
+    expect(madurai.fin_years).toEqual(["2023-2024", "2024-2025"]);
+    expect(madurai.Total_Households_Worked).toBe(20000);
+    expect(madurai.Total_Exp).toBeCloseTo(2900.75);
+    // (310 × 15,000 + 320 × 5,000) / 20,000
+    expect(madurai.Average_Wage_rate_per_day_per_person).toBe(312.5);
+  });
+
+  it("builds the headline figures", () => {
+    const { insights } = summarise(rows2023);
+    expect(insights).toEqual({
+      totalHouseholds: 37000,
+      totalPersondays: 580000,
+      totalExpenditure: 5750.75,
+      // the Nilgiris' "NA" wage rate counts as 0 in the weighted average
+      avgWageRate: 287.84,
+      avgHouseholds: 12333,
+      topDistrict: "SALEM",
+      lowDistrict: "The Nilgiris",
+    });
+  });
+
+  it("narrows to districts containing the filter text", () => {
+    const { districts, insights } = summarise(rows2023, " mad ");
+    expect(districts.map((d) => d.district_name)).toEqual(["MADURAI"]);
+    expect(insights.topDistrict).toBe("MADURAI");
+  });
+
+  it("returns empty figures when nothing matches", () => {
+    const { districts, insights } = summarise(rows2023, "Chennai");
+    expect(districts).toEqual([]);
+    expect(insights).toMatchObject({ totalHouseholds: 0, avgHouseholds: 0, topDistrict: null, lowDistrict: null });
+  });
+});
+
+describe("state figures", () => {
+  it("totals to zero without districts", () => {
+    expect(aggregateTotals([]).Total_Exp).toBe(0);
+  });
+
+  it("spreads totals evenly but keeps averages weighted", () => {
+    const { districts } = summarise(rows2023);
+    const avg = stateAverage(districts);
+    expect(avg.Total_Households_Worked).toBeCloseTo(37000 / 3);
+    expect(avg.Average_Wage_rate_per_day_per_person).toBe(287.84);
+  });
+});
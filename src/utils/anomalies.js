@@ -0,0 +1,155 @@
+// src/utils/anomalies.js
+// Data-quality checks over normalised monthly records. Two kinds of rule:
+//
+//   consistency – fields that contradict each other in one row
+//                 (more households than individuals, wages above spend…)
+//   statistical – a month's increase in a cumulative field that is an
+//                 extreme outlier for that district (Tukey fences, k = 3),
+//                 and a cumulative field that goes down within a year
+//
+// Every flag carries an i18n message key plus the values it quotes, so the
+// UI can always say *why* a row was flagged.
+import { METRICS } from "./aggregate";
+import { comparePeriod, sortByPeriod } from "./period";
+import { findColumn } from "../config/columns";
+
+export const SEVERITY_COLOURS = { error: "#d93025", warning: "#f29900" };
+
+export const recordKey = (r) => [r.state_name, r.district_name, r.fin_year, r.month].join("|");
+
+const MAX_WAGE_RATE = 1000;
+const MAX_DAYS = 150;
+const IQR_K = 3;
+// with a flat series the fences collapse onto Q3, so also require the
+// increase to be a clear multiple of the usual one
+const MIN_RATIO = 3;
+const MIN_SERIES = 6;
+
+const SPIKE_FIELDS = ["Total_Exp", "Wages", "Persondays", "Total_Households_Worked"];
+// budgets are revised down mid-year legitimately, so they may drop
+const DROP_FIELDS = Object.keys(METRICS).filter((k) => METRICS[k].kind === "ytd" && k !== "Approved_Labour_Budget");
+
+const CONSISTENCY_RULES = [
+  {
+    rule: "householdsExceedIndividuals",
+    field: "Total_Households_Worked",
+    test: (r) => r.Total_Households_Worked > r.Total_Individuals_Worked,
+    vars: (r) => ({ households: r.Total_Households_Worked, individuals: r.Total_Individuals_Worked }),
+  },
+  {
+    rule: "wagesExceedExpenditure",
+    field: "Wages",
+    test: (r) => r.Wages > r.Total_Exp,
+    vars: (r) => ({ wages: r.Wages, expenditure: r.Total_Exp }),
+  },
+  {
+    rule: "wageRateOutOfRange",
+    field: "Average_Wage_rate_per_day_per_person",
+    test: (r) => r.Total_Households_Worked > 0 && (r.Average_Wage_rate_per_day_per_person <= 0 || r.Average_Wage_rate_per_day_per_person > MAX_WAGE_RATE),
+    vars: (r) => ({ rate: r.Average_Wage_rate_per_day_per_person, max: MAX_WAGE_RATE }),
+  },
+  {
+    rule: "daysOverLimit",
+    field: "Average_days_of_employment_provided_per_Household",
+    test: (r) => r.Average_days_of_employment_provided_per_Household > MAX_DAYS,
+    vars: (r) => ({ days: r.Average_days_of_employment_provided_per_Household, max: MAX_DAYS }),
+  },
+];
+
+const quantile = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+const flag = (r, rule, field, severity, vars) => ({
+  key: recordKey(r),
+  state_name: r.state_name,
+  district_name: r.district_name,
+  district_display: r.district_display,
+  fin_year: r.fin_year,
+  month: r.month,
+  rule,
+  field,
+  severity,
+  vars,
+});
+
+// Month-on-month changes of the cumulative fields of one district: the
+// first month of a year is its own increase. A drop is itself a flag,
+// since year-to-date totals should never go down.
+const checkSeries = (rows) => {
+  const flags = [];
+  const increases = Object.fromEntries(SPIKE_FIELDS.map((f) => [f, []]));
+  let prev = null;
+  for (const r of sortByPeriod(rows)) {
+    const sameYear = prev && prev.fin_year === r.fin_year;
+    for (const field of DROP_FIELDS) {
+      if (sameYear && r[field] < prev[field]) {
+        flags.push(flag(r, "cumulativeDrop", field, "warning", { from: prev[field], to: r[field], previous: prev.month }));
+      }
+    }
+    for (const field of SPIKE_FIELDS) {
+      increases[field].push({ row: r, value: sameYear ? r[field] - prev[field] : r[field] });
+    }
+    prev = r;
+  }
+
+  for (const field of SPIKE_FIELDS) {
+    const series = increases[field];
+    if (series.length < MIN_SERIES) continue;
+    const sorted = series.map((s) => s.value).sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const high = q3 + IQR_K * (q3 - q1);
+    const median = quantile(sorted, 0.5);
+    for (const { row, value } of series) {
+      if (value > high && value > 0 && (median <= 0 || value >= MIN_RATIO * median)) {
+        flags.push(
+          flag(row, "spike", field, "error", {
+            value,
+            median,
+            high,
+            times: median > 0 ? value / median : null,
+          })
+        );
+      }
+    }
+  }
+  return flags;
+};
+
+// records → flags, sorted by district then period
+export const detectAnomalies = (records) => {
+  const flags = [];
+  const byDistrict = new Map();
+  for (const r of records) {
+    for (const c of CONSISTENCY_RULES) {
+      if (c.test(r)) flags.push(flag(r, c.rule, c.field, "error", c.vars(r)));
+    }
+    const k = `${r.state_name}|${r.district_name}`;
+    if (!byDistrict.has(k)) byDistrict.set(k, []);
+    byDistrict.get(k).push(r);
+  }
+  for (const rows of byDistrict.values()) flags.push(...checkSeries(rows));
+  return flags.sort((a, b) => a.district_name.localeCompare(b.district_name) || comparePeriod(a, b));
+};
+
+export const groupFlags = (flags, keyFn) =>
+  flags.reduce((m, f) => {
+    const k = keyFn(f);
+    if (!m.has(k)) m.set(k, []);
+    m.get(k).push(f);
+    return m;
+  }, new Map());
+
+// flag → translated sentence, numbers formatted for the current locale
+export const explainFlag = (f, { t, fmt }) => {
+  const vars = Object.fromEntries(
+    Object.entries(f.vars).map(([k, v]) => [k, typeof v === "number" ? fmt(v, { maximumFractionDigits: 1 }) : v])
+  );
+  const field = t(findColumn(f.field)?.label || f.field);
+  const key = f.rule === "spike" && f.vars.times === null ? "anomaly.spikeFromZero" : `anomaly.${f.rule}`;
+  return t(key, { ...vars, field });
+};
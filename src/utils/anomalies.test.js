@@ -0,0 +1,182 @@
+// src/utils/anomalies.test.js
+import { describe, expect, it } from "vitest";
+import { detectAnomalies, explainFlag, groupFlags, recordKey } from "./anomalies";
+import { FY_MONTH_NAMES } from "./period";
+
+const row = (overrides = {}) => ({
+  state_name: "TAMIL NADU",
+  district_name: "SALEM",
+  district_display: "SALEM",
+  fin_year: "2023-2024",
+  month: "Apr",
+  Approved_Labour_Budget: 500000,
+  Average_Wage_rate_per_day_per_person: 300,
+  Average_days_of_employment_provided_per_Household: 20,
+  Total_Households_Worked: 1000,
+  Total_Individuals_Worked: 1200,
+  Persondays: 20000,
+  Total_Exp: 100,
+  Wages: 80,
+  ...overrides,
+});
+
+// n months of one year in which every cumulative field grows by the same step
+const steadyYear = (n = 12, overrides = {}) =>
+  FY_MONTH_NAMES.slice(0, n).map((month, i) =>
+    row({
+      month,
+      Total_Households_Worked: 1000 * (i + 1),
+      Total_Individuals_Worked: 1200 * (i + 1),
+      Persondays: 20000 * (i + 1),
+      Total_Exp: 100 * (i + 1),
+      Wages: 80 * (i + 1),
+      ...overrides,
+    })
+  );
+
+const rules = (flags) => flags.map((f) => f.rule);
+
+describe("consistency rules", () => {
+  it("passes a clean year", () => {
+    expect(detectAnomalies(steadyYear())).toEqual([]);
+  });
+
+  it("flags more households than individuals", () => {
+    const [f] = detectAnomalies([row({ Total_Households_Worked: 1300 })]);
+    expect(f).toMatchObject({
+      rule: "householdsExceedIndividuals",
+      field: "Total_Households_Worked",
+      severity: "error",
+      vars: { households: 1300, individuals: 1200 },
+    });
+  });
+
+  it("flags wages above total expenditure", () => {
+    const [f] = detectAnomalies([row({ Wages: 120 })]);
+    expect(f).toMatchObject({ rule: "wagesExceedExpenditure", vars: { wages: 120, expenditure: 100 } });
+  });
+
+  it("flags a wage rate of zero or above ₹1,000 a day", () => {
+    expect(rules(detectAnomalies([row({ Average_Wage_rate_per_day_per_person: 0 })]))).toEqual(["wageRateOutOfRange"]);
+    expect(rules(detectAnomalies([row({ Average_Wage_rate_per_day_per_person: 1200 })]))).toEqual(["wageRateOutOfRange"]);
+    expect(detectAnomalies([row({ Average_Wage_rate_per_day_per_person: 1000 })])).toEqual([]);
+  });
+
+  it("flags more than 150 days per household", () => {
+    expect(rules(detectAnomalies([row({ Average_days_of_employment_provided_per_Household: 151 })]))).toEqual([
+      "daysOverLimit",
+    ]);
+    expect(detectAnomalies([row({ Average_days_of_employment_provided_per_Household: 150 })])).toEqual([]);
+  });
+
+  it("doesn't expect a wage rate from a month in which no household worked", () => {
+    const empty = row({
+      Total_Households_Worked: 0,
+      Total_Individuals_Worked: 0,
+      Persondays: 0,
+      Total_Exp: 0,
+      Wages: 0,
+      Average_Wage_rate_per_day_per_person: 0,
+      Average_days_of_employment_provided_per_Household: 0,
+    });
+    expect(detectAnomalies([empty])).toEqual([]);
+  });
+});
+
+describe("cumulative drops", () => {
+  it("flags a year-to-date field that goes down, naming the month before", () => {
+    const rows = steadyYear(3);
+    rows[2].Persondays = 30000;
+    const [f] = detectAnomalies(rows);
+    expect(f).toMatchObject({
+      rule: "cumulativeDrop",
+      field: "Persondays",
+      severity: "warning",
+      month: "Jun",
+      vars: { from: 40000, to: 30000, previous: "May" },
+    });
+  });
+
+  it("compares with the last month reported when one is missing", () => {
+    const [apr, may, , jul] = steadyYear(4);
+    jul.Wages = 150;
+    const flags = detectAnomalies([apr, may, jul]);
+    expect(flags).toHaveLength(1);
+    expect(flags[0]).toMatchObject({ rule: "cumulativeDrop", field: "Wages", month: "Jul", vars: { previous: "May" } });
+  });
+
+  it("starts again from zero in a new financial year", () => {
+    const march = row({ month: "Mar", Total_Households_Worked: 9000, Total_Individuals_Worked: 9500, Persondays: 90000, Total_Exp: 900, Wages: 700 });
+    const april = row({ fin_year: "2024-2025" });
+    expect(detectAnomalies([april, march])).toEqual([]);
+  });
+
+  it("lets the approved labour budget be revised down", () => {
+    const rows = steadyYear(2);
+    rows[1].Approved_Labour_Budget = 400000;
+    expect(detectAnomalies(rows)).toEqual([]);
+  });
+
+  it("has nothing to compare for a single month", () => {
+    expect(detectAnomalies(steadyYear(1))).toEqual([]);
+  });
+});
+
+describe("spikes", () => {
+  it("flags a monthly rise far above the district's usual one", () => {
+    const rows = steadyYear();
+    rows[11].Total_Exp = 1100 + 1000;
+    const [f] = detectAnomalies(rows);
+    expect(f).toMatchObject({ rule: "spike", field: "Total_Exp", severity: "error", month: "Mar" });
+    expect(f.vars).toMatchObject({ value: 1000, median: 100, times: 10 });
+  });
+
+  it("needs six months before judging what is usual", () => {
+    const rows = steadyYear(5);
+    rows[4].Total_Exp = 5000;
+    expect(detectAnomalies(rows)).toEqual([]);
+
+    const longer = steadyYear(6);
+    longer[5].Total_Exp = 5000;
+    expect(rules(detectAnomalies(longer))).toEqual(["spike"]);
+  });
+
+  it("ignores a rise under three times the usual one", () => {
+    // October's rise is 250 against the usual 100
+    const rows = steadyYear().map((r, i) => (i >= 6 ? { ...r, Total_Exp: r.Total_Exp + 150 } : r));
+    expect(detectAnomalies(rows)).toEqual([]);
+  });
+
+  it("reports a rise from a field that usually doesn't move", () => {
+    const rows = steadyYear(8, { Total_Exp: 0, Wages: 0 });
+    rows[7].Total_Exp = 50;
+    const [f] = detectAnomalies(rows);
+    expect(f).toMatchObject({ rule: "spike", field: "Total_Exp", vars: { value: 50, median: 0, times: null } });
+    const t = (key) => key;
+    expect(explainFlag(f, { t, fmt: String })).toBe("anomaly.spikeFromZero");
+  });
+
+  it("judges each district against its own months", () => {
+    const salem = steadyYear();
+    const madurai = steadyYear(12).map((r) => ({ ...r, district_name: "MADURAI", Total_Exp: r.Total_Exp * 20, Wages: r.Wages * 20 }));
+    expect(detectAnomalies([...salem, ...madurai])).toEqual([]);
+  });
+});
+
+describe("flag helpers", () => {
+  it("sorts flags by district, then period", () => {
+    const flags = detectAnomalies([
+      row({ month: "May", Wages: 200 }),
+      row({ district_name: "MADURAI", Wages: 200 }),
+      row({ Wages: 200 }),
+    ]);
+    expect(flags.map((f) => `${f.district_name} ${f.month}`)).toEqual(["MADURAI Apr", "SALEM Apr", "SALEM May"]);
+  });
+
+  it("keys flags to their record and groups them", () => {
+    const r = row({ Wages: 200, Total_Households_Worked: 1300 });
+    const flags = detectAnomalies([r]);
+    expect(flags.every((f) => f.key === recordKey(r))).toBe(true);
+    expect(groupFlags(flags, (f) => f.key).get(recordKey(r))).toHaveLength(2);
+  });
+});
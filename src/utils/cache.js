@@ -0,0 +1,59 @@
+// src/utils/cache.js
+// Two-level response cache: an in-memory Map for the current session and
+// IndexedDB so responses survive reloads. IndexedDB failures (private mode,
+// quota) are swallowed — the cache is an optimisation, never a requirement.
+const DB_NAME = "mgnrega-cache";
+const STORE = "responses";
+
+const memory = new Map();
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve(null);
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+  return dbPromise;
+};
+
+const idbRequest = async (mode, fn) => {
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise((resolve) => {
+    try {
+      const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(undefined);
+    } catch {
+      resolve(undefined);
+    }
+  });
+};
+
+export const cacheKey = (...parts) => parts.map((p) => String(p || "").toUpperCase()).join("|");
+
+// Returns { value, savedAt } or null. Entries older than maxAge (ms) are ignored.
+export const getCached = async (key, maxAge = Infinity) => {
+  let entry = memory.get(key);
+  if (!entry) {
+    entry = await idbRequest("readonly", (store) => store.get(key));
+    if (entry) memory.set(key, entry);
+  }
+  if (!entry || Date.now() - entry.savedAt > maxAge) return null;
+  return entry;
+};
+
+// Forgets this session's entries; IndexedDB keeps its copies. Tests call
+// it between cases so one test's responses can't answer another's requests.
+export const clearMemoryCache = () => memory.clear();
+
+export const setCached = async (key, value) => {
+  const entry = { value, savedAt: Date.now() };
+  memory.set(key, entry);
+  await idbRequest("readwrite", (store) => store.put(entry, key));
+  return entry;
+};
@@ -0,0 +1,81 @@
+// src/utils/chart.js
+// Configuration and data shaping for the chart builder. The last
+// configuration is kept on the device.
+import { DISTRICT_COLUMNS, findColumn } from "../config/columns";
+import { METRICS, rollupYear } from "./aggregate";
+
+const STORAGE_KEY = "mgnrega.chart";
+
+export const CHART_TYPES = ["bar", "line", "stacked", "scatter"];
+export const CHART_METRICS = DISTRICT_COLUMNS.filter((c) => c.format !== "text");
+// 0 = every district
+export const COUNT_OPTIONS = [5, 10, 20, 0];
+
+export const DEFAULT_CHART = { type: "bar", metric: "Total_Exp", xMetric: "Total_Households_Worked", order: "top", count: 10 };
+
+const valid = (c) =>
+  CHART_TYPES.includes(c.type) &&
+  findColumn(c.metric) &&
+  findColumn(c.xMetric) &&
+  ["top", "bottom"].includes(c.order) &&
+  COUNT_OPTIONS.includes(c.count);
+
+export const loadChartConfig = () => {
+  try {
+    const stored = { ...DEFAULT_CHART, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    if (valid(stored)) return stored;
+  } catch {
+    // fall through to the default
+  }
+  return DEFAULT_CHART;
+};
+
+export const saveChartConfig = (config) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch {
+    // the chart just opens with the default next time
+  }
+};
+
+// Averages (wage rate, days per household) can't be added across years.
+export const isStackable = (metric) => METRICS[metric]?.kind !== "wavg";
+
+// Top or bottom N districts by the metric, largest first either way so the
+// bars read the same direction.
+export const pickDistricts = (districts, { metric, order, count }) => {
+  const sorted = [...districts].sort((a, b) => b[metric] - a[metric]);
+  if (!count) return sorted;
+  return order === "top" ? sorted.slice(0, count) : sorted.slice(-count);
+};
+
+// One row per district with the metric's value for each financial year:
+// { district_display, district_name, "2022-2023": …, "2023-2024": … }
+export const byYear = (districts, metric) => {
+  const years = new Set();
+  const rows = districts.map((d) => {
+    const row = { district_display: d.district_display, district_name: d.district_name };
+    const groups = new Map();
+    for (const r of d.rows || []) {
+      if (!groups.has(r.fin_year)) groups.set(r.fin_year, []);
+      groups.get(r.fin_year).push(r);
+    }
+    for (const [fy, rs] of groups) {
+      row[fy] = rollupYear(rs)[metric];
+      years.add(fy);
+    }
+    return row;
+  });
+  return { rows, years: [...years].sort() };
+};
+
+export const chartTitle = (config, t) => {
+  const metric = t(findColumn(config.metric).label);
+  if (config.type === "scatter") {
+    return t("chart.titleScatter", { y: metric, x: t(findColumn(config.xMetric).label) });
+  }
+  const base = !config.count
+    ? t("chart.titleAll", { metric })
+    : t(config.order === "top" ? "chart.titleTop" : "chart.titleBottom", { n: config.count, metric });
+  return config.type === "stacked" && isStackable(config.metric) ? t("chart.titleByYear", { title: base }) : base;
+};
@@ -0,0 +1,28 @@
+// src/utils/colours.js
+// Sequential scales: darker always means more, so colour never implies a
+// rank the numbers don't support.
+
+// yellow → green, for map fills on a light basemap
+export const PALETTE = ["#ffffcc", "#c2e699", "#78c679", "#31a354", "#006837"];
+// light → dark blue, for bars and points on white
+export const CHART_PALETTE = ["#9ecae1", "#6baed6", "#4292c6", "#2171b5", "#084594"];
+export const NO_DATA = "#d9d9d9";
+
+export const colourFor = (v, min, max, palette = PALETTE) => {
+  if (v === undefined || v === null) return NO_DATA;
+  if (max === min) return palette[palette.length - 1];
+  const i = Math.min(palette.length - 1, Math.floor(((v - min) / (max - min)) * palette.length));
+  return palette[i];
+};
+
+// one colour per financial year, oldest lightest; keep at least as many
+// entries as FIN_YEARS so no two years can share one
+const YEAR_PALETTE = ["#fdd0a2", "#fdae6b", "#fd8d3c", "#f16913", "#d94801", "#a63603", "#7f2704", "#4d1802"];
+
+// `years` sorted oldest first; spread over the whole palette
+export const yearColours = (years) => {
+  const last = YEAR_PALETTE.length - 1;
+  return Object.fromEntries(
+    years.map((y, i) => [y, YEAR_PALETTE[years.length > 1 ? Math.round((i * last) / (years.length - 1)) : last]])
+  );
+};
@@ -0,0 +1,21 @@
+// src/utils/colours.test.js
+import { describe, expect, it } from "vitest";
+import { yearColours } from "./colours";
+import { FIN_YEARS } from "../config/years";
+
+describe("yearColours", () => {
+  it("gives every year offered its own colour", () => {
+    const years = [...FIN_YEARS].reverse();
+    const colours = Object.values(yearColours(years));
+    expect(colours).toHaveLength(FIN_YEARS.length);
+    expect(new Set(colours).size).toBe(FIN_YEARS.length);
+  });
+
+  it("keeps the darkest colour for the newest year", () => {
+    const all = yearColours([...FIN_YEARS].reverse());
+    const two = yearColours(["2023-2024", "2024-2025"]);
+    expect(two["2024-2025"]).toBe(all["2024-2025"]);
+    expect(two["2023-2024"]).not.toBe(two["2024-2025"]);
+    expect(yearColours(["2024-2025"])["2024-2025"]).toBe(all["2024-2025"]);
+  });
+});
@@ -0,0 +1,8 @@
+// src/utils/district.js
+// Loose key for matching district names across sources: "The Nilgiris",
+// "NILGIRIS" and "Nilgiris " all map to "NILGIRIS".
+export const districtKey = (name) =>
+  String(name || "")
+    .toUpperCase()
+    .replace(/^THE\s+/, "")
+    .replace(/[^A-Z]/g, "");
@@ -0,0 +1,70 @@
+// src/utils/entitlement.js
+// The "What am I entitled to?" estimate. MGNREGA guarantees every rural
+// household up to 100 days of unskilled work a financial year at the same
+// wage, whatever its ration card, so the card cannot move any of the figures.
+// What a priority card does change is the kind of work the household may ask
+// for (Schedule I, para 5: works on its own land), and the estimate says so.
+// Money figures are in rupees, not lakhs.
+import { aggregateTotals, summarise } from "./aggregate";
+import { foldName } from "./gazetteer";
+
+export const GUARANTEED_DAYS = 100;
+export const HOUSEHOLD_SIZE = { min: 1, max: 20, default: 4 };
+
+// cards usually issued to priority (BPL / Antyodaya) households
+export const PRIORITY_CARDS = ["green", "yellow"];
+
+// ration card (see utils/onboarding) → what it means for this scheme
+export const RATION_CARD_NOTES = {
+  green: "entitle.card.priority",
+  yellow: "entitle.card.priority",
+  white: "entitle.card.general",
+  unknown: "entitle.card.none",
+};
+
+// anything that isn't a number (nothing saved yet, an emptied input) → default
+export const clampHouseholdSize = (n) => {
+  const size = n === "" || n == null ? NaN : Math.round(Number(n));
+  if (isNaN(size)) return HOUSEHOLD_SIZE.default;
+  return Math.min(HOUSEHOLD_SIZE.max, Math.max(HOUSEHOLD_SIZE.min, size));
+};
+
+// One year of a state's monthly rows → the district's wage rate and days
+// per household, next to the state's. Null when the district has no rows.
+export const districtBenchmark = (rows, district) => {
+  const { districts } = summarise(rows);
+  const key = foldName(district);
+  const match = districts.find((d) => foldName(d.district_name) === key);
+  if (!match) return null;
+  const state = aggregateTotals(districts);
+  return {
+    district: match.district_display,
+    wageRate: match.Average_Wage_rate_per_day_per_person,
+    avgDays: match.Average_days_of_employment_provided_per_Household,
+    stateWageRate: state.Average_Wage_rate_per_day_per_person,
+    stateDays: state.Average_days_of_employment_provided_per_Household,
+  };
+};
+
+// What the household could earn with all 100 days and what it would earn at
+// the district's current pace. The guarantee belongs to the household, not
+// to each member: `householdShare` is that one total split evenly between
+// its members, for comparison only.
+export const estimateEntitlement = ({ wageRate, avgDays, householdSize, rationCard }) => {
+  const size = clampHouseholdSize(householdSize);
+  const expectedDays = Math.min(avgDays, GUARANTEED_DAYS);
+  const fullIncome = Math.round(GUARANTEED_DAYS * wageRate);
+  const expectedIncome = Math.round(expectedDays * wageRate);
+  return {
+    days: GUARANTEED_DAYS,
+    fullIncome,
+    householdShare: Math.round(fullIncome / size),
+    expectedDays,
+    expectedIncome,
+    shortfall: fullIncome - expectedIncome,
+    // share of the guarantee the district is delivering, 0–100
+    deliveredPct: Math.round((expectedDays / GUARANTEED_DAYS) * 100),
+    // same days and wage, but may also ask for work on its own land
+    priority: PRIORITY_CARDS.includes(rationCard),
+  };
+};
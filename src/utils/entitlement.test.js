@@ -0,0 +1,62 @@
+// src/utils/entitlement.test.js
+import { describe, expect, it } from "vitest";
+import { fromBackendRow } from "../api/records";
+import { clampHouseholdSize, districtBenchmark, estimateEntitlement } from "./entitlement";
+import year2023 from "../test/fixtures/backend-tamilnadu-2023-2024.json";
+
+const rows = year2023.data.map((r) => fromBackendRow(r));
+
+describe("districtBenchmark", () => {
+  it("finds the district however it is spelt and adds the state figures", () => {
+    expect(districtBenchmark(rows, "Madurai")).toEqual({
+      district: "MADURAI",
+      wageRate: 310,
+      avgDays: 16,
+      stateWageRate: 287.84,
+      // (16 × 15,000 + 15 × 20,000 + 15 × 2,000) / 37,000
+      stateDays: 15.41,
+    });
+    expect(districtBenchmark(rows, "Nilgiris")?.district).toBe("The Nilgiris");
+  });
+
+  it("returns null for a district without rows", () => {
+    expect(districtBenchmark(rows, "Chennai")).toBeNull();
+  });
+});
+
+describe("estimateEntitlement", () => {
+  it("prices the 100 days and the district's pace for the household", () => {
+    expect(estimateEntitlement({ wageRate: 310, avgDays: 16, householdSize: 4 })).toEqual({
+      days: 100,
+      fullIncome: 31000,
+      householdShare: 7750,
+      expectedDays: 16,
+      expectedIncome: 4960,
+      shortfall: 26040,
+      deliveredPct: 16,
+      priority: false,
+    });
+  });
+
+  it("gives a priority card the same figures and marks it", () => {
+    const base = { wageRate: 310, avgDays: 16, householdSize: 4 };
+    const priority = estimateEntitlement({ ...base, rationCard: "yellow" });
+    const general = estimateEntitlement({ ...base, rationCard: "white" });
+    expect(priority).toEqual({ ...general, priority: true });
+    expect(general.priority).toBe(false);
+  });
+
+  it("never counts more than the guaranteed days", () => {
+    const e = estimateEntitlement({ wageRate: 300, avgDays: 120, householdSize: 1 });
+    expect(e.expectedDays).toBe(100);
+    expect(e.shortfall).toBe(0);
+    expect(e.deliveredPct).toBe(100);
+  });
+});
+
+it("keeps household sizes between 1 and 20", () => {
+  expect(clampHouseholdSize(0)).toBe(1);
+  expect(clampHouseholdSize(45)).toBe(20);
+  expect(clampHouseholdSize("3")).toBe(3);
+  expect(clampHouseholdSize(undefined)).toBe(4);
+});
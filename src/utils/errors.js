@@ -0,0 +1,53 @@
+// src/utils/errors.js
+// One error type for everything a view can show, so it can say what
+// happened in words ("no connection", "too many requests") instead of
+// whatever the browser or server sent. Kinds:
+//
+//   network   – no response at all: offline, DNS, CORS, connection reset
+//   rateLimit – the API asked us to slow down (HTTP 429)
+//   http      – any other non-2xx response
+//   payload   – a response arrived but isn't the shape we expect
+//   render    – a panel threw while drawing (see components/ErrorBoundary)
+//   unknown   – anything else
+export const ERROR_KINDS = ["network", "rateLimit", "http", "payload", "render", "unknown"];
+
+export class AppError extends Error {
+  constructor(kind, message, { status = null, source = null, url = null, retryAfter = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "AppError";
+    this.kind = ERROR_KINDS.includes(kind) ? kind : "unknown";
+    this.status = status;
+    this.source = source;
+    this.url = url;
+    this.retryAfter = retryAfter;
+    this.at = Date.now();
+  }
+}
+
+// API keys never end up in an error report.
+export const redactUrl = (url) => String(url || "").replace(/(api-key=)[^&]+/gi, "$1…");
+
+// Anything caught → AppError, keeping one that already is.
+export const toAppError = (err, context = {}) => {
+  if (err instanceof AppError) return err;
+  const message = err?.message || String(err);
+  const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+  return new AppError(offline ? "network" : "unknown", message, { ...context, cause: err });
+};
+
+// Plain-text summary for support staff; English on purpose, so it reads the
+// same whichever language the user had on.
+export const technicalDetails = (error, { view, componentStack } = {}) =>
+  [
+    view && `view: ${view}`,
+    `kind: ${error.kind ?? "unknown"}`,
+    error.status != null && `status: ${error.status}`,
+    error.retryAfter != null && `retry after: ${error.retryAfter}s`,
+    error.source && `source: ${error.source}`,
+    error.url && `url: ${redactUrl(error.url)}`,
+    `time: ${new Date(error.at ?? Date.now()).toISOString()}`,
+    `message: ${error.message}`,
+    componentStack && `component stack:${componentStack}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
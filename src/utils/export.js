@@ -0,0 +1,57 @@
+// src/utils/export.js
+// Spreadsheet exports of the dashboard view. Sheets are plain arrays of
+// rows (header first) so the same data feeds both CSV and XLSX.
+import { DISTRICT_COLUMNS } from "../config/columns";
+import { RECORD_FIELDS } from "../api/records";
+
+// aggregated district records → sheet with translated headers
+export const districtSheet = (districts, t) => [
+  [t("explorer.state"), t("export.finYears"), ...DISTRICT_COLUMNS.map((c) => t(c.label))],
+  ...districts.map((d) => [d.state_name, (d.fin_years || []).join(" "), ...DISTRICT_COLUMNS.map((c) => d[c.key])]),
+];
+
+// monthly records → sheet keyed by the record's own field names
+export const recordSheet = (records) => [RECORD_FIELDS, ...records.map((r) => RECORD_FIELDS.map((f) => r[f]))];
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCsv = (rows) => rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// the BOM makes Excel read the file as UTF-8, so Tamil names survive
+export const downloadCsv = (rows, fileName) =>
+  downloadBlob(new Blob(["\uFEFF" + toCsv(rows)], { type: "text/csv;charset=utf-8" }), fileName);
+
+// sheets: [{ name, rows }]; the writer is loaded only when first needed
+export const downloadXlsx = async (sheets, fileName) => {
+  const { default: writeExcelFile } = await import("write-excel-file/browser");
+  const blob = await writeExcelFile(
+    sheets.map((s) => ({ data: s.rows, sheet: s.name.slice(0, 31), stickyRowsCount: 1 }))
+  ).toBlob();
+  downloadBlob(blob, fileName);
+};
+
+// Snapshot an on-screen chart <svg> as an image URL for the print report.
+export const svgToDataUrl = (svg) => {
+  if (!svg) return null;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  const { width, height } = svg.getBoundingClientRect();
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  const markup = new XMLSerializer().serializeToString(clone);
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+};
@@ -0,0 +1,89 @@
+// src/utils/gazetteer.js
+// Canonical district names per state (src/data/gazetteer.json) with the
+// spellings people and services actually use: old names ("Tuticorin"),
+// transliteration variants ("Thoothukudi") and native-script names
+// ("தூத்துக்குடி"). Everything that turns free text into a district —
+// typed search, geolocation, deep links — resolves through here.
+import GAZETTEER from "../data/gazetteer.json";
+
+// Folds romanisation differences so "Thiruvallur" ≈ "Tiruvallur" and
+// "Kanyakumari" ≈ "Kanniyakumari". Native-script text is only stripped of
+// spaces and punctuation.
+export const foldName = (value) => {
+  let s = String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\bdistrict\b/g, "")
+    .replace(/^\s*the\s+/, "")
+    .replace(/[^\p{L}\p{M}]/gu, "");
+  if (!/^[a-z]*$/.test(s)) return s;
+  s = s
+    .replace(/([tdkpbgcs])h/g, "$1")
+    .replace(/zh/g, "l")
+    .replace(/ee/g, "i")
+    .replace(/oo/g, "u")
+    .replace(/w/g, "v")
+    .replace(/iya/g, "ya")
+    .replace(/(.)\1+/g, "$1");
+  return s;
+};
+
+const ENTRIES = Object.entries(GAZETTEER).flatMap(([state, districts]) =>
+  districts.map((d) => {
+    const spellings = [d.name, d.native, ...(d.aliases || [])].filter(Boolean);
+    return {
+      state,
+      name: d.name,
+      native: d.native || null,
+      // the upper-case form the APIs use
+      api: d.name.toUpperCase(),
+      keys: [...new Set(spellings.map(foldName))],
+    };
+  })
+);
+
+export const districtsOf = (stateName) => ENTRIES.filter((e) => e.state === stateName).map((e) => e.name);
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+};
+
+// 0–1, where 1 is an exact (folded) match; prefixes count as close.
+const similarity = (query, key) => {
+  if (!query || !key) return 0;
+  if (key === query) return 1;
+  if (key.startsWith(query) && query.length >= 3) return 0.9;
+  return 1 - editDistance(query, key) / Math.max(query.length, key.length);
+};
+
+const SUGGEST_MIN = 0.6;
+
+// Resolve free text to a gazetteer entry. Returns { match, suggestions }:
+// `match` is set only for an exact folded match on a name, alias or
+// native-script name; `suggestions` lists up to `limit` close entries
+// ("did you mean"). `stateName` restricts the search to one state.
+export const resolveDistrict = (text, { stateName, limit = 5 } = {}) => {
+  const query = foldName(text);
+  if (!query) return { match: null, suggestions: [] };
+  const pool = stateName ? ENTRIES.filter((e) => e.state === stateName) : ENTRIES;
+  const scored = pool
+    .map((e) => ({ entry: e, score: Math.max(...e.keys.map((k) => similarity(query, k))) }))
+    .sort((a, b) => b.score - a.score);
+  const match = scored[0]?.score === 1 ? scored[0].entry : null;
+  const suggestions = scored
+    .filter((s) => s.score >= SUGGEST_MIN && s.entry !== match)
+    .slice(0, limit)
+    .map((s) => s.entry);
+  return { match, suggestions };
+};
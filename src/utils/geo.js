@@ -0,0 +1,78 @@
+// src/utils/geo.js
+// Offline district lookup: a device position is matched against the
+// boundaries bundled with each state config, so coordinates are never sent
+// to a geocoding service.
+import { STATES, hasBoundaries } from "../config/states";
+
+// Ray casting; `ring` is a GeoJSON linear ring of [lon, lat] pairs.
+const inRing = (lon, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+// first ring is the outline, the rest are holes
+const inPolygon = (lon, lat, rings) => inRing(lon, lat, rings[0]) && !rings.slice(1).some((h) => inRing(lon, lat, h));
+
+export const featureContains = (feature, lat, lon) => {
+  const { type, coordinates } = feature.geometry || {};
+  if (type === "Polygon") return inPolygon(lon, lat, coordinates);
+  if (type === "MultiPolygon") return coordinates.some((p) => inPolygon(lon, lat, p));
+  return false;
+};
+
+// The bundled boundaries are approximate (nearest-headquarters cells, see
+// the note in src/data/tamilnadu_districts.geo.json), so a position this
+// close to another district's cell may well be inside that district.
+export const EDGE_MARGIN_KM = 10;
+
+const KM_PER_DEGREE = 111.32;
+
+// Distance from the point to segment a–b, on a flat projection around the
+// point; plenty accurate over a few kilometres.
+const segmentKm = (lat, lon, [ax, ay], [bx, by]) => {
+  const kx = KM_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+  const x1 = (ax - lon) * kx;
+  const y1 = (ay - lat) * KM_PER_DEGREE;
+  const x2 = (bx - lon) * kx;
+  const y2 = (by - lat) * KM_PER_DEGREE;
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const len = dx * dx + dy * dy;
+  const t = len ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / len)) : 0;
+  return Math.hypot(x1 + t * dx, y1 + t * dy);
+};
+
+export const distanceToFeatureKm = (feature, lat, lon) => {
+  const { type, coordinates } = feature.geometry || {};
+  const polygons = type === "Polygon" ? [coordinates] : type === "MultiPolygon" ? coordinates : [];
+  let best = Infinity;
+  for (const ring of polygons.flat()) {
+    for (let i = 1; i < ring.length; i++) best = Math.min(best, segmentKm(lat, lon, ring[i - 1], ring[i]));
+  }
+  return best;
+};
+
+// → { state, district, nearby } (state config, feature properties, and the
+// properties of other districts within EDGE_MARGIN_KM, closest first) or
+// null when the point is outside every bundled boundary. A non-empty
+// `nearby` means the match shouldn't be used without asking.
+export const locateDistrict = (lat, lon) => {
+  for (const state of STATES.filter(hasBoundaries)) {
+    const { features } = state.boundaries;
+    const feature = features.find((f) => featureContains(f, lat, lon));
+    if (!feature) continue;
+    const nearby = features
+      .filter((f) => f !== feature)
+      .map((f) => ({ f, km: distanceToFeatureKm(f, lat, lon) }))
+      .filter(({ km }) => km <= EDGE_MARGIN_KM)
+      .sort((a, b) => a.km - b.km)
+      .map(({ f }) => f.properties);
+    return { state, district: feature.properties, nearby };
+  }
+  return null;
+};
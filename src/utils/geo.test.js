@@ -0,0 +1,24 @@
+// src/utils/geo.test.js
+import { describe, expect, it } from "vitest";
+import { locateDistrict } from "./geo";
+
+describe("locateDistrict", () => {
+  it("matches a point well inside a district without alternatives", () => {
+    // Salem town
+    const hit = locateDistrict(11.66, 78.15);
+    expect(hit.state.code).toBe("tn");
+    expect(hit.district.district).toBe("SALEM");
+    expect(hit.nearby).toEqual([]);
+  });
+
+  it("lists the neighbouring districts for a point near an edge", () => {
+    // a few km inside Madurai's cell, next to Sivaganga's
+    const hit = locateDistrict(9.95, 78.3);
+    expect(hit.district.district).toBe("MADURAI");
+    expect(hit.nearby.map((d) => d.district)).toContain("SIVAGANGA");
+  });
+
+  it("returns null outside every bundled boundary", () => {
+    expect(locateDistrict(28.61, 77.21)).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+// src/utils/kpi.js
+// Derived indicators per district. Each KPI has a formula (shown to users
+// in the scorecard), a unit and traffic-light thresholds: at or above
+// `good` is green, at or above `warn` is amber, anything lower is red.
+import { rollupYear } from "./aggregate";
+import { finYearStart } from "./period";
+
+const ratio = (num, den, scale = 1) => (den ? (num / den) * scale : null);
+
+// latest two financial years of a district, rolled up, oldest first
+const lastTwoYears = (district) => {
+  const byYear = {};
+  for (const r of district.rows || []) (byYear[r.fin_year] = byYear[r.fin_year] || []).push(r);
+  return Object.keys(byYear)
+    .sort((a, b) => finYearStart(a) - finYearStart(b))
+    .slice(-2)
+    .map((fy) => rollupYear(byYear[fy]));
+};
+
+export const KPIS = [
+  {
+    key: "persondaysPerHousehold",
+    label: "kpi.persondaysPerHousehold",
+    formula: "kpi.persondaysPerHousehold.formula",
+    unit: "days",
+    good: 50,
+    warn: 30,
+    compute: (d) => ratio(d.Persondays, d.Total_Households_Worked),
+  },
+  {
+    key: "wageShare",
+    label: "kpi.wageShare",
+    formula: "kpi.wageShare.formula",
+    unit: "percent",
+    // the Act requires at least 60% of spending to go on wages
+    good: 60,
+    warn: 50,
+    compute: (d) => ratio(d.Wages, d.Total_Exp, 100),
+  },
+  {
+    key: "budgetUtilisation",
+    label: "kpi.budgetUtilisation",
+    formula: "kpi.budgetUtilisation.formula",
+    unit: "percent",
+    good: 80,
+    warn: 50,
+    compute: (d) => ratio(d.Persondays, d.Approved_Labour_Budget, 100),
+  },
+  {
+    key: "hundredDays",
+    label: "kpi.hundredDays",
+    formula: "kpi.hundredDays.formula",
+    unit: "percent",
+    good: 60,
+    warn: 40,
+    compute: (d) => ratio(d.Average_days_of_employment_provided_per_Household, 100, 100),
+  },
+  {
+    key: "yoyGrowth",
+    label: "kpi.yoyGrowth",
+    formula: "kpi.yoyGrowth.formula",
+    unit: "percent",
+    signed: true,
+    good: 0,
+    warn: -10,
+    compute: (d) => {
+      const years = lastTwoYears(d);
+      if (years.length < 2) return null;
+      return ratio(years[1].Persondays - years[0].Persondays, years[0].Persondays, 100);
+    },
+  },
+];
+
+export const kpiStatus = (kpi, value) => {
+  if (value === null || !isFinite(value)) return null;
+  if (value >= kpi.good) return "good";
+  if (value >= kpi.warn) return "warn";
+  return "bad";
+};
+
+export const formatKpi = (kpi, value, { t, fmt }) => {
+  if (value === null || !isFinite(value)) return t("kpi.na");
+  const n = fmt(value, { maximumFractionDigits: 1 });
+  const sign = kpi.signed && value > 0 ? "+" : "";
+  return kpi.unit === "percent" ? `${sign}${n}%` : `${sign}${n} ${t("unit.days")}`;
+};
+
+export const STATUS_COLOURS = { good: "#2e7d32", warn: "#f0b429", bad: "#c62828" };
+
+const POINTS = { good: 2, warn: 1, bad: 0 };
+
+// { value, status } for every KPI of one district
+export const computeKpis = (district) =>
+  Object.fromEntries(
+    KPIS.map((k) => {
+      const value = k.compute(district);
+      return [k.key, { value, status: kpiStatus(k, value) }];
+    })
+  );
+
+// Score = points earned / points possible over the KPIs that could be
+// computed, 0–100. Districts are ranked by score, then by person-days.
+export const rankDistricts = (districts) =>
+  districts
+    .map((d) => {
+      const kpis = computeKpis(d);
+      const rated = Object.values(kpis).filter((k) => k.status);
+      const earned = rated.reduce((s, k) => s + POINTS[k.status], 0);
+      return { district: d, kpis, score: rated.length ? Math.round((earned / (rated.length * 2)) * 100) : 0 };
+    })
+    .sort((a, b) => b.score - a.score || b.district.Persondays - a.district.Persondays)
+    .map((entry, i) => ({ ...entry, rank: i + 1 }));
@@ -0,0 +1,25 @@
+// src/utils/onboarding.js
+// Answers from the voice wizard, kept on the device so the dashboard can
+// open pre-filtered on the next visit.
+const STORAGE_KEY = "mgnrega.onboarding";
+
+export const RATION_CARDS = ["green", "yellow", "white", "unknown"];
+export const RATION_CARD_SWATCHES = { green: "#2f855a", yellow: "#ecc94b", white: "#ffffff" };
+
+export const loadOnboarding = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveOnboarding = (patch) => {
+  const next = { ...loadOnboarding(), ...patch };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // storage full or disabled: the wizard still works for this visit
+  }
+  return next;
+};
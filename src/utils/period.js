@@ -0,0 +1,31 @@
+// src/utils/period.js
+// Financial years run April → March, so months are ordered from April.
+const FY_MONTHS = ["apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec", "jan", "feb", "mar"];
+
+// "Apr" … "Mar", in financial-year order
+export const FY_MONTH_NAMES = FY_MONTHS.map((m) => m[0].toUpperCase() + m.slice(1));
+
+export const monthIndex = (month) => {
+  const key = String(month || "").trim().slice(0, 3).toLowerCase();
+  return FY_MONTHS.indexOf(key);
+};
+
+// "2023-2024" → 2023; anything unparseable sorts first.
+export const finYearStart = (finYear) => {
+  const n = parseInt(String(finYear || ""), 10);
+  return isNaN(n) ? 0 : n;
+};
+
+export const comparePeriod = (a, b) =>
+  finYearStart(a.fin_year) - finYearStart(b.fin_year) ||
+  monthIndex(a.month) - monthIndex(b.month);
+
+export const sortByPeriod = (rows) => [...rows].sort(comparePeriod);
+
+// Short axis label, e.g. "Apr 23-24".
+export const periodLabel = ({ fin_year, month }) => {
+  const m = String(month || "").trim().slice(0, 3);
+  const fy = String(fin_year || "").match(/^\d{2}(\d{2})-\d{2}(\d{2})$/);
+  const fyShort = fy ? `${fy[1]}-${fy[2]}` : fin_year;
+  return m && m !== "—" ? `${m} ${fyShort}` : String(fyShort);
+};
@@ -0,0 +1,25 @@
+// src/utils/table.js
+// The district table's filter and sort, kept in ?q=, ?sort= and ?dir=.
+// The export reads them too, so a download holds the rows on screen.
+import { DEFAULT_SORT, findColumn } from "../config/columns";
+
+export const readTableView = (searchParams) => ({
+  sortKey: findColumn(searchParams.get("sort")) ? searchParams.get("sort") : DEFAULT_SORT.key,
+  sortDir: ["asc", "desc"].includes(searchParams.get("dir")) ? searchParams.get("dir") : DEFAULT_SORT.dir,
+  query: searchParams.get("q") || "",
+});
+
+const compare = (a, b, key) => {
+  const x = a[key];
+  const y = b[key];
+  if (typeof x === "number" && typeof y === "number") return x - y;
+  return String(x ?? "").localeCompare(String(y ?? ""));
+};
+
+// every matching district in table order, across all pages
+export const tableRows = (rows, { query, sortKey, sortDir }) => {
+  const q = query.trim().toUpperCase();
+  const matched = q ? rows.filter((r) => r.district_name.includes(q) || String(r.state_name || "").includes(q)) : rows;
+  const sign = sortDir === "asc" ? 1 : -1;
+  return [...matched].sort((a, b) => sign * compare(a, b, sortKey));
+};
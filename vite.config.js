@@ -1,10 +1,37 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig({
   plugins: [
     react(),
     tailwindcss(),
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['tamilnadu_emblem.svg', 'vite.svg'],
+      manifest: {
+        name: 'MGNREGA District Dashboard',
+        short_name: 'MGNREGA',
+        description: 'District-wise MGNREGA performance for field coordinators',
+        theme_color: '#073b6b',
+        background_color: '#f7f9fb',
+        display: 'standalone',
+        start_url: '/',
+        icons: [
+          { src: '/tamilnadu_emblem.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+        ],
+      },
+      workbox: {
+        // precache the app shell; API responses are kept in IndexedDB by src/utils/cache.js
+        globPatterns: ['**/*.{js,css,html,svg,mp3}'],
+        navigateFallback: '/index.html',
+        maximumFileSizeToCacheInBytes: 4 * 1024 * 1024,
+      },
+    }),
   ],
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+  },
 })